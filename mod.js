@@ -1,22 +1,76 @@
 import {
-	dirname,
 	format,
 	fromFileUrl,
 	join,
 	parse,
+	relative,
 	resolve,
+	SEP,
 	toFileUrl,
 } from "https://deno.land/std@0.145.0/path/mod.ts";
-import { ensureDir, ensureFile } from "https://deno.land/std@0.145.0/fs/mod.ts";
-import * as streams from "https://deno.land/std@0.167.0/streams/mod.ts";
-import { createEmptyImportMap, resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/mod.js";
-import { collectImports } from "./src/collectImports.js";
-import { createTypesDir, fillOptionDefaults, loadImportMap, sanitizeFileName } from "./src/common.js";
-import { blue, yellow } from "https://deno.land/std@0.157.0/fmt/colors.ts";
+import { ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import {
+	createEmptyImportMap,
+	parseImportMap,
+	resolveModuleSpecifier,
+} from "https://deno.land/x/import_maps@v0.2.0/mod.js";
+import { collectedFileExtensions, collectImports } from "./src/collectImports.js";
+import {
+	createFileExcludeMatcher,
+	createTypesDir,
+	fillOptionDefaults,
+	getIncludeExcludeFiles,
+	loadImportMap,
+	sanitizeFileName,
+} from "./src/common.js";
 import { createLogger } from "./src/logging.js";
-import { fetchNpmPackage, splitNameAndVersion } from "https://deno.land/x/npm_fetcher@v0.1.0/mod.ts";
+import { loadDenoConfig } from "./src/denoConfig.js";
 import { vendor } from "https://deno.land/x/vendor@v0.2.0/mod.js";
 import { modifyVendoredFiles } from "./src/modifyVendoredFiles.js";
+import {
+	createAttributeModuleDeclaration,
+	createJsonDeclaration,
+	createWasmDeclaration,
+	getAttributeType,
+	getNonScriptModuleType,
+} from "./src/moduleDeclarations.js";
+import { pruneOutputDir } from "./src/prune.js";
+import { addReportSpecifiers, createRunReport, writeRunReport } from "./src/report.js";
+import { createEventEmitter } from "./src/events.js";
+import { checkProject } from "./src/checkTypes.js";
+import { replaceWithDeclarations } from "./src/declarationEmit.js";
+import { getAmbientFallbackSpecifiers, getAmbientFallbackUrls, writeAmbientModules } from "./src/ambientModules.js";
+import { createFetcher, createLimiter, processQueue } from "./src/fetching.js";
+import {
+	createDenoCacheFetcher,
+	createMissingFromDenoCacheError,
+	getDefaultDenoDir,
+	vendorWithFetcher,
+} from "./src/denoCache.js";
+import { createLockfileVerifier } from "./src/lockfile.js";
+import { fetchExcludedTypes } from "./src/excludedTypes.js";
+import { createJsrTypesFetcher, getJsrDependencyClosure } from "./src/jsr.js";
+import { usesNodeBuiltins, writeNodeTypesTypeRoot } from "./src/nodeTypes.js";
+import { createNpmTypesFetcher } from "./src/npm.js";
+import {
+	createTsImportShims,
+	getTsExtension,
+	getTypeScriptVersion,
+	isRelativeSpecifier,
+	needsTsConfigEntry,
+	supportsTsExtensionImports,
+} from "./src/tsImports.js";
+
+/**
+ * An entry of the `excludeUrls` option that provides types for the excluded url, rather than leaving it untyped.
+ * @typedef ExcludeUrlEntry
+ * @property {string} url The url or import map specifier to exclude.
+ * @property {string} [types] A declaration file that describes the module. This can be a path relative to the cwd or
+ * a remote url. The ambient module of the excluded url re-exports everything from this file.
+ * @property {boolean} [emitDeclarations] Generate a declaration file from the source of the module using the
+ * declaration emit of TypeScript. Imports of the module are not followed, so types from other modules are `any`.
+ * This is ignored when `types` is set.
+ */
 
 /**
  * @typedef GenerateTypesOptions
@@ -26,26 +80,47 @@ import { modifyVendoredFiles } from "./src/modifyVendoredFiles.js";
  * Note that the module graph is not traversed, i.e. only the imports of files and
  * directories in this array are checked. Imported files are not checked.
  * If the path to a directory is provided, then its contents are checked recursively.
+ * Defaults to the cwd, unless `entryPoints` are provided.
+ * @property {string[]} [entryPoints] A list of local files from which the module graph is traversed.
+ * Local imports, i.e. relative imports, `file:` urls and import map entries that resolve to local files,
+ * are followed recursively, including dynamic imports that use a string literal.
+ * The remote imports of every file in this graph are collected, similar to how `deno check main.js` would.
+ * Files that match the `exclude` option are not traversed.
  * @property {string[]} [exclude] A list of local paths to exclude. Any file in this list
- * will not be parsed. This defaults to [".denoTypes", "node_modules"].
- * @property {string[]} [excludeUrls] A list of urls to ignore when fetching types.
+ * will not be parsed. This defaults to [".denoTypes", "node_modules"]. The exclude lists from the Deno config file
+ * are always added to this list, even when it is set.
+ * Entries that consist of only a name exclude any file or directory with that name, other entries are
+ * resolved relative to the cwd. Glob patterns are supported as well.
+ * @property {(string | ExcludeUrlEntry)[]} [excludeUrls] A list of urls to ignore when fetching types.
  * If a specific import specifier is causing issues, you can add its exact url to this list.
  * If you are using an import map, you can also use the specifier from the import map.
  * An [ambient module](https://www.typescriptlang.org/docs/handbook/modules.html#shorthand-ambient-modules)
- * will be created that contains no types for each excluded url.
+ * will be created that contains no types for each excluded url, unless the entry provides types.
  * Additionally, when vendoring, a temporary import map is created containing
  * each of the excluded urls pointing to a dummy module. This way, if a module
  * is failing to vendor, but you would still like to use its types, you can
  * provide the specific url at which the module fails. That way only the failing
  * portion of a module is excluded.
+ * @property {"ambient" | "warn" | "throw"} [onVendorError] What to do when some files of a remote module fail to
+ * download while it is being vendored. Defaults to `"warn"`, which logs the failing urls and keeps whatever was
+ * vendored. `"throw"` makes generating types fail instead. `"ambient"` treats the failing urls as if they were added
+ * to `excludeUrls`: they are replaced with the dummy module and get an ambient module without types. This is recorded
+ * in the cache file, so the urls are not fetched again in future runs.
  * @property {string?} [importMap] A path to the import map to use. If provided, the paths in the generated
  * tsconfig.json will be set to values in the import map.
+ * When not provided, the `imports` and `scopes` or the `importMap` field from the Deno config file is used.
+ * @property {string | false} [denoConfig] The path to a deno.json or deno.jsonc file. By default, the config file
+ * in the cwd is used if it exists. Set this to `false` to ignore the config file entirely.
+ *
+ * Options that are not provided are taken from the `"tscHelper"` section of the config file.
+ * The `exclude` list of the config file, as well as the `fmt` and `lint` exclude lists, are added to the
+ * default value of the `exclude` option.
  * @property {Object.<string, string[]>} [extraPaths] A set of extra paths that will be added to the generated tsconfig.
  * @property {Object.<string, string>} [extraTypeRoots] Allows you to provide extra type roots
  * which will be fetched and placed in the `@types` directory.
- * @property {Object<string, string>} [exactTypeModules] This is mostly useful for
- * types coming from the DefinitelyTyped repository.
- * This allows you to map a specifier directly to a types file from any url.
+ * @property {Object<string, string>} [exactTypeModules] This allows you to map a specifier directly to a types
+ * file from any url. Note that npm packages without bundled types already get their types from the matching
+ * `@types/` package automatically, so this is mostly useful when you need a specific version of a types file.
  * For example:
  * ```js
  * generateTypes({
@@ -84,9 +159,175 @@ import { modifyVendoredFiles } from "./src/modifyVendoredFiles.js";
  * If this option is not provided in `generateTypes`, the file at the specfifed location is loaded and used instead
  * of performing the computation again.
  * @property {boolean} [unstable] Whether to include unstable deno apis in the generated types.
+ * @property {string} [npmRegistry] The registry to download npm packages from, defaults to https://registry.npmjs.org/.
+ * Besides the packages that are imported, the dependencies that are referenced from their declaration files are
+ * downloaded as well. These are placed in a node_modules directory inside the npmTypes directory.
+ * @property {string} [jsrRegistry] The registry to download `jsr:` imports from, defaults to https://jsr.io/.
+ * @property {string} [nodeTypesVersion] The version of @types/node to use for `node:` imports, defaults to "18".
+ * The types are only downloaded when a `node:` module is imported.
+ * @property {string?} [typescriptVersion] The version of TypeScript that you use to type check your project.
+ * When your files import other local files with a `.ts` extension, this determines how the generated tsconfig.json
+ * makes these imports work. On TypeScript 5.0 and newer, `allowImportingTsExtensions` and
+ * `"moduleResolution": "bundler"` are enabled. Older versions don't support these options, so a declaration file
+ * is generated for each imported .ts file instead. Defaults to the version in node_modules/typescript if it exists,
+ * otherwise a recent version is assumed.
+ * @property {number} [concurrency] The maximum amount of remote modules that are vendored in parallel, which is
+ * also the maximum amount of requests that are made at the same time, not counting the files that are downloaded
+ * by the vendoring step itself. Defaults to 6.
+ * @property {number} [timeout] The amount of milliseconds after which a request is aborted, defaults to 60000.
+ * Set this to 0 to disable the timeout.
+ * @property {number} [retries] The amount of times a request is retried when it fails or times out, defaults to 2.
+ * The delay between retries starts at 250 milliseconds and doubles after every retry.
+ * @property {boolean} [preferDenoCache] Whether to read remote modules, their headers and npm packages from Deno's
+ * own cache, i.e. the files that `deno cache` downloads into the DENO_DIR. Anything that isn't cached is downloaded
+ * as usual.
+ * @property {boolean} [offline] Like `preferDenoCache`, but nothing is downloaded. When something isn't in the
+ * Deno cache, an error listing everything that is missing is thrown.
+ * @property {string?} [denoDir] The DENO_DIR to read cached modules from when `offline` or `preferDenoCache` is
+ * set. Defaults to the `DENO_DIR` environment variable, or the default location of your platform.
+ * @property {"fail" | "warn" | false} [lock] What to do when a downloaded file doesn't match the integrity hash
+ * in the lockfile. Remote modules, the declaration files of remote modules and npm packages are verified when they
+ * are downloaded. With "fail" an error is thrown and with "warn" a warning is logged. Defaults to `false`, in which
+ * case the lockfile is only read when `writeLock` is set and files are not verified.
+ * @property {string | false} [lockFile] The path to the deno.lock file to verify against. Version 2 and 3 of the
+ * lockfile format are supported. Defaults to the `lock` of the Deno config file, or deno.lock in the cwd.
+ * @property {boolean} [writeLock] Whether to add the hashes of remote modules that aren't in the lockfile yet.
+ * The lockfile is created if it doesn't exist. npm packages are not added, since Deno also stores their
+ * dependencies in the lockfile, which are resolved differently by Deno. Defaults to false.
+ * @property {string?} [reportFile] When set, the report that `generateTypes` returns is written to this file as JSON,
+ * relative to `outputDir`. The file is written when generating types fails as well, in which case the report contains
+ * the error. This is useful for tools that annotate pull requests in CI, for example.
+ * @property {((event: import("./src/events.js").GenerateTypesEvent) => void)?} [onEvent] Called with events about
+ * the progress of generating types, such as when imports have been collected, when a module is being vendored, or how
+ * many bytes of an npm package have been downloaded. This is useful for showing progress in a dev server or editor.
+ * Errors thrown by the callback are logged and otherwise ignored.
+ * @property {string?} [project] The tsconfig.json or jsconfig.json of your project, relative to the cwd. This option
+ * is only used when calling `checkTypes`. Defaults to tsconfig.json, or jsconfig.json when that doesn't exist.
+ * @property {boolean} [emitDeclarationsOnly] Replace the JavaScript and TypeScript files of vendored modules with
+ * declaration files that are emitted by TypeScript. This makes type checking faster and the output directory smaller.
+ * Modules whose declarations can't be emitted keep their source. Defaults to false.
+ * @property {boolean} [prune] Whether to remove vendored modules, npm packages, exact types and type roots
+ * that are no longer used after generating types. Defaults to true. See `pruneTypes` for more info.
  * @property {import("https://deno.land/std@0.159.0/log/mod.ts").LevelName} [logLevel]
  */
 
+/**
+ * @typedef CacheFileData
+ * @property {string[]} [vendoredImports] The resolved specifiers that have been vendored in previous runs.
+ * @property {Object.<string, string[]>} [vendoredModules] Maps resolved specifiers to the urls of all the
+ * files that were vendored for it.
+ * @property {Object.<string, string>} [vendoredFiles] Maps vendored urls to the path they were saved at,
+ * relative to the output directory.
+ * @property {Object.<string, string?>} [npmTypes] Maps resolved npm specifiers to the path of their types entry
+ * point, relative to the output directory.
+ * @property {Object.<string, string>} [npmPackages] Maps resolved npm specifiers to the directory their package
+ * was extracted to, relative to the output directory.
+ * @property {Object.<string, string[]>} [npmDependencies] Maps resolved npm specifiers to the directories of the
+ * packages that the types of their package depend on, relative to the output directory.
+ * @property {Object.<string, string?>} [jsrTypes] Maps resolved jsr specifiers to the path of the module they point to,
+ * relative to the output directory.
+ * @property {Object.<string, string>} [jsrPackages] Maps resolved jsr specifiers to the directory their package
+ * was downloaded to, relative to the output directory.
+ * @property {Object.<string, string[]>} [jsrDependencies] Maps resolved jsr specifiers to the `jsr:`, `npm:` and
+ * `node:` specifiers that are imported by the files of their package.
+ * @property {Object.<string, string>} [typesCommentEntries] Maps the urls from `@deno-types` and `@ts-types`
+ * comments in the user's files to the declaration file they were vendored to, relative to the output directory.
+ * @property {Object.<string, string>} [typesHeaders] Maps vendored urls to the url from the `X-TypeScript-Types`
+ * header that was sent along with them.
+ * @property {{versionRange: string, packageDir: string, dependencyDirs: string[]}} [nodeTypes] The @types/node
+ * package that was downloaded for `node:` imports, the directories are relative to the output directory.
+ * @property {string} [denoTypesVersion]
+ * @property {Object.<string, string>} [fetchedTypeRoots]
+ * @property {Object<string, string>} [fetchedExactTypeModules]
+ * @property {Object<string, string>} [fetchedExcludedTypes] Maps excluded urls to the url of the declaration file
+ * that was fetched for them, or to `"emitDeclarations"` when their declarations were generated. Urls whose
+ * declarations failed to emit are mapped to `"emitDeclarationsFailed"`.
+ * @property {string[]} [generatedPathSpecifiers] The keys that were added to the `paths` of the generated
+ * tsconfig.json during the last run.
+ * @property {boolean} [emitDeclarationsOnly] Whether vendored modules were replaced with declaration files.
+ * @property {Object.<string, string[]>} [ambientFallbackUrls] Maps resolved specifiers to the urls that failed to
+ * vendor while `onVendorError` was set to `"ambient"`. These urls are replaced with ambient modules.
+ */
+
+/**
+ * @param {string} cacheFilePath
+ * @returns {Promise<CacheFileData?>}
+ */
+async function readCacheFile(cacheFilePath) {
+	let cacheStr;
+	try {
+		cacheStr = await Deno.readTextFile(cacheFilePath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+	return JSON.parse(cacheStr);
+}
+
+/**
+ * Collects the imports from the included files, or loads them from the `preCollectedImportsFile` when it exists.
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {string} options.absoluteOutputDirPath
+ * @param {string?} options.preCollectedImportsFile
+ * @param {string[]} options.entryPoints
+ * @param {string[]} options.include
+ * @param {string[]} options.exclude
+ * @param {string[]} options.excludeUrls
+ * @param {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ParsedImportMap} options.userImportMap
+ * @param {import("./src/logging.js").Logger} options.logger
+ * @returns {Promise<import("./src/collectImports.js").PreCollectedImportsData>}
+ */
+async function getCollectedImports({
+	cwd,
+	absoluteOutputDirPath,
+	preCollectedImportsFile,
+	entryPoints,
+	include,
+	exclude,
+	excludeUrls,
+	userImportMap,
+	logger,
+}) {
+	if (preCollectedImportsFile) {
+		const preCollectedImportsFilePath = resolve(absoluteOutputDirPath, preCollectedImportsFile);
+		let preCollectedImportsStr = null;
+		try {
+			preCollectedImportsStr = await Deno.readTextFile(preCollectedImportsFilePath);
+		} catch (e) {
+			if (!(e instanceof Deno.errors.NotFound)) {
+				throw e;
+			}
+		}
+		if (preCollectedImportsStr) {
+			let preCollectedImportsJson = null;
+			try {
+				preCollectedImportsJson = JSON.parse(preCollectedImportsStr);
+			} catch {
+				throw new Error(
+					`The file at ${preCollectedImportsFilePath} appears to be corrupt and couldn't be parsed.`,
+				);
+			}
+			for (const remoteImport of preCollectedImportsJson.remoteImports) {
+				remoteImport.resolvedSpecifier = new URL(remoteImport.resolvedSpecifier);
+			}
+			return preCollectedImportsJson;
+		} else {
+			logger.warning(`No pre-collected imports file was found at ${preCollectedImportsFilePath}.`);
+		}
+	}
+
+	logger.info("Collecting import specifiers from script files");
+	return await collectImports({
+		baseDir: cwd,
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		userImportMap,
+	});
+}
+
 /**
  * This generates a file that you can use to generate a cache key when running in CI.
  * For example, with github actions:
@@ -110,10 +351,18 @@ import { modifyVendoredFiles } from "./src/modifyVendoredFiles.js";
  */
 export async function createCacheHashFile(options) {
 	const cwd = Deno.cwd();
-	const { logLevel, include, exclude, excludeUrls, importMap, cacheHashFile, preCollectedImportsFile, outputDir } =
-		fillOptionDefaults(
-			options,
-		);
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const {
+		logLevel,
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		importMap,
+		cacheHashFile,
+		preCollectedImportsFile,
+		outputDir,
+	} = fillOptionDefaults(options, denoConfig);
 
 	const logger = createLogger(logLevel);
 
@@ -123,9 +372,10 @@ export async function createCacheHashFile(options) {
 
 	logger.info("Collecting import specifiers from script files");
 
-	const { userImportMap } = await loadImportMap(importMap, cwd);
+	const { userImportMap } = await loadImportMap(importMap, cwd, denoConfig);
 	const collectedImportData = await collectImports({
 		baseDir: cwd,
+		entryPoints,
 		include,
 		exclude,
 		excludeUrls,
@@ -153,6 +403,14 @@ export async function createCacheHashFile(options) {
 		}
 	}
 
+	cacheHashContent += "--types comment urls--\n";
+	{
+		const sorted = getRemoteTypesCommentUrls(collectedImportData.remoteImports, userImportMap).sort();
+		for (const url of sorted) {
+			cacheHashContent += `${url}\n`;
+		}
+	}
+
 	cacheHashContent += "--ambient module specifiers--\n";
 	{
 		const sorted = [...collectedImportData.needsAmbientModuleImportSpecifiers].sort();
@@ -174,76 +432,784 @@ export async function createCacheHashFile(options) {
 	}
 }
 
+/**
+ * Resolves the specifier from the `@deno-types` or `@ts-types` comment above a remote import, the same way Deno
+ * resolves the specifier of the import itself. Returns `null` when the import has no such comment.
+ * @param {import("./src/collectImports.js").RemoteImportData} remoteImport
+ * @param {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ParsedImportMap} userImportMap
+ */
+function resolveTypesSpecifier({ importerFilePath, typesSpecifier }, userImportMap) {
+	if (!typesSpecifier) return null;
+	return resolveModuleSpecifier(userImportMap, new URL(toFileUrl(importerFilePath)), typesSpecifier);
+}
+
+/**
+ * Returns the resolved urls of all remote `@deno-types` and `@ts-types` comments, which are fetched into the
+ * typesComments directory.
+ * @param {import("./src/collectImports.js").RemoteImportData[]} remoteImports
+ * @param {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ParsedImportMap} userImportMap
+ */
+function getRemoteTypesCommentUrls(remoteImports, userImportMap) {
+	/** @type {Set<string>} */
+	const urls = new Set();
+	for (const remoteImport of remoteImports) {
+		const typesUrl = resolveTypesSpecifier(remoteImport, userImportMap);
+		if (typesUrl && (typesUrl.protocol == "http:" || typesUrl.protocol == "https:")) urls.add(typesUrl.href);
+	}
+	return Array.from(urls);
+}
+
+/**
+ * Removes files from the output directory that are no longer needed.
+ * Every vendored module, npm package, exact types module and type root that
+ * is not reachable from the current imports and options is deleted.
+ *
+ * This is also done automatically at the end of `generateTypes`, unless the `prune` option is set to false.
+ * @param {GenerateTypesOptions} [options]
+ */
+export async function pruneTypes(options) {
+	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const {
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		excludedTypes,
+		importMap,
+		extraTypeRoots,
+		exactTypeModules,
+		outputDir,
+		logLevel,
+		preCollectedImportsFile,
+	} = fillOptionDefaults(options, denoConfig);
+
+	const logger = createLogger(logLevel);
+	const absoluteOutputDirPath = resolve(cwd, outputDir);
+	const cacheFilePath = resolve(absoluteOutputDirPath, "cacheFile.json");
+	const cache = await readCacheFile(cacheFilePath);
+	if (!cache) {
+		logger.info("No types have been generated yet, nothing to prune.");
+		return;
+	}
+
+	const { userImportMap } = await loadImportMap(importMap, cwd, denoConfig);
+	const { remoteImports, needsAmbientModuleImportSpecifiers } = await getCollectedImports({
+		cwd,
+		absoluteOutputDirPath,
+		preCollectedImportsFile,
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		userImportMap,
+		logger,
+	});
+
+	const resolvedSpecifiers = new Set(remoteImports.map((i) => i.resolvedSpecifier.href));
+	const needsNodeTypes = usesNodeBuiltins(resolvedSpecifiers, cache.jsrDependencies || {});
+	const ambientModuleSpecifiers = [
+		...needsAmbientModuleImportSpecifiers,
+		...getAmbientFallbackUrls(cache.ambientFallbackUrls || {}, resolvedSpecifiers),
+	];
+	const { newCacheData } = await pruneOutputDir({
+		absoluteOutputDirPath,
+		cache,
+		resolvedSpecifiers,
+		exactTypeSpecifiers: Object.keys(exactTypeModules),
+		excludedTypesUrls: excludedTypes.map(({ url }) => url),
+		typesCommentUrls: getRemoteTypesCommentUrls(remoteImports, userImportMap),
+		extraTypeRootNames: Object.keys(extraTypeRoots),
+		hasAmbientModules: ambientModuleSpecifiers.length > 0,
+		needsNodeTypes,
+		logger,
+	});
+	const cacheDataStr = JSON.stringify({ ...cache, ...newCacheData }, null, "\t");
+	await Deno.writeTextFile(cacheFilePath, cacheDataStr);
+}
+
+/**
+ * @typedef TypesPlanPathChanges
+ * @property {string[]} added Specifiers that would be added to the `paths` of the generated tsconfig.json.
+ * @property {string[]} removed Specifiers that would be removed from the `paths`, because they are no longer imported.
+ * @property {string[]} changed Specifiers that stay in the `paths`, but point to types that would be fetched again.
+ */
+
+/**
+ * @typedef TypesPlan
+ * @property {string[]} vendorSpecifiers Resolved urls of remote modules that would be vendored.
+ * @property {string[]} npmSpecifiers Resolved `npm:` specifiers whose packages would be downloaded.
+ * @property {string[]} jsrSpecifiers Resolved `jsr:` specifiers whose packages would be downloaded.
+ * @property {string[]} typeRoots Names of the `extraTypeRoots` that would be fetched.
+ * @property {string[]} exactTypeModules Specifiers from `exactTypeModules` whose types would be fetched.
+ * @property {string[]} typesComments Urls from `@deno-types` and `@ts-types` comments that would be fetched.
+ * @property {boolean} denoTypes Whether the Deno types would be generated again.
+ * @property {boolean} nodeTypes Whether the @types/node package would be downloaded.
+ * @property {string[]} ambientModules Import specifiers that an ambient module would be created for.
+ * @property {TypesPlanPathChanges} paths
+ */
+
+/**
+ * Returns what `generateTypes` would do with the provided options, without downloading or writing anything.
+ * Imports are collected and resolved the same way, and compared against the cache file from the previous run.
+ * This is useful for checking whether types are up to date, for instance in CI or in a pre-commit hook.
+ *
+ * Note that the dependencies of npm and jsr packages are only known once they are downloaded, so the plan only
+ * contains the dependencies that were downloaded in a previous run.
+ * @param {GenerateTypesOptions} [options]
+ * @returns {Promise<TypesPlan>}
+ */
+export async function planTypes(options) {
+	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const {
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		importMap,
+		extraPaths,
+		extraTypeRoots,
+		exactTypeModules,
+		outputDir,
+		unstable,
+		nodeTypesVersion,
+		emitDeclarationsOnly,
+		logLevel,
+		preCollectedImportsFile,
+	} = fillOptionDefaults(options, denoConfig);
+
+	const logger = createLogger(logLevel);
+	const absoluteOutputDirPath = resolve(cwd, outputDir);
+	const cache = await readCacheFile(resolve(absoluteOutputDirPath, "cacheFile.json"));
+	// Cache files from older versions don't contain the locations of vendored files,
+	// in which case everything would be vendored again. The same goes for when `emitDeclarationsOnly` has changed.
+	const hasVendoredFileLocations = Boolean(cache?.vendoredFiles) &&
+		Boolean(cache?.emitDeclarationsOnly) == emitDeclarationsOnly;
+	const cachedImportSpecifiers = new Set((hasVendoredFileLocations && cache?.vendoredImports) || []);
+	const cachedVendoredFiles = (hasVendoredFileLocations && cache?.vendoredFiles) || {};
+	const cachedNpmTypes = (hasVendoredFileLocations && cache?.npmTypes) || {};
+	const cachedJsrTypes = (hasVendoredFileLocations && cache?.jsrTypes) || {};
+	const cachedJsrDependencies = (hasVendoredFileLocations && cache?.jsrDependencies) || {};
+	const cachedTypeRoots = cache?.fetchedTypeRoots || {};
+	const cachedExactTypeModules = cache?.fetchedExactTypeModules || {};
+	const cachedTypesCommentEntries = cache?.typesCommentEntries || {};
+
+	const { userImportMap } = await loadImportMap(importMap, cwd, denoConfig);
+	const { remoteImports, needsAmbientModuleImportSpecifiers, localImports = [] } = await getCollectedImports({
+		cwd,
+		absoluteOutputDirPath,
+		preCollectedImportsFile,
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		userImportMap,
+		logger,
+	});
+
+	/** @type {Map<string, import("./src/collectImports.js").RemoteImportData[]>} */
+	const mergedRemoteImports = new Map();
+	for (const remoteImport of remoteImports) {
+		const specifier = remoteImport.resolvedSpecifier.href;
+		const arr = mergedRemoteImports.get(specifier) || [];
+		arr.push(remoteImport);
+		mergedRemoteImports.set(specifier, arr);
+	}
+	const jsrDependencySpecifiers = getJsrDependencyClosure(mergedRemoteImports.keys(), cachedJsrDependencies);
+
+	/** @type {TypesPlan} */
+	const plan = {
+		vendorSpecifiers: [],
+		npmSpecifiers: [],
+		jsrSpecifiers: [],
+		typeRoots: Object.keys(extraTypeRoots).filter((name) => cachedTypeRoots[name] != extraTypeRoots[name]),
+		exactTypeModules: Object.keys(exactTypeModules).filter((specifier) => {
+			return cachedExactTypeModules[specifier] != exactTypeModules[specifier];
+		}),
+		typesComments: getRemoteTypesCommentUrls(remoteImports, userImportMap).filter((url) => {
+			return !(url in cachedTypesCommentEntries);
+		}),
+		denoTypes: cache?.denoTypesVersion != Deno.version.deno + (unstable ? "-unstable" : ""),
+		nodeTypes: false,
+		ambientModules: [
+			...needsAmbientModuleImportSpecifiers,
+			...getAmbientFallbackUrls(cache, mergedRemoteImports.keys()),
+		],
+		paths: { added: [], removed: [], changed: [] },
+	};
+
+	const resolvedDependencySpecifiers = [...jsrDependencySpecifiers].map((specifier) => new URL(specifier).href);
+	for (const resolvedSpecifier of new Set([...mergedRemoteImports.keys(), ...resolvedDependencySpecifiers])) {
+		if (cachedImportSpecifiers.has(resolvedSpecifier)) continue;
+		if (resolvedSpecifier.startsWith("npm:")) {
+			plan.npmSpecifiers.push(resolvedSpecifier);
+		} else if (resolvedSpecifier.startsWith("jsr:")) {
+			plan.jsrSpecifiers.push(resolvedSpecifier);
+		} else if (!resolvedSpecifier.startsWith("node:")) {
+			plan.vendorSpecifiers.push(resolvedSpecifier);
+		}
+	}
+
+	if (usesNodeBuiltins(mergedRemoteImports.keys(), cachedJsrDependencies)) {
+		const cachedNodeTypes = hasVendoredFileLocations && cache?.nodeTypes;
+		plan.nodeTypes = !cachedNodeTypes || cachedNodeTypes.versionRange != nodeTypesVersion;
+	}
+
+	// Collect the specifiers that would end up in the paths of the tsconfig.json. For modules that haven't been
+	// fetched yet, we assume they will have types, since that can only be known once they are downloaded.
+	/** @type {Set<string>} */
+	const pathSpecifiers = new Set(Object.keys(extraPaths));
+	/** @type {Set<string>} */
+	const refetchedPathSpecifiers = new Set();
+	for (const { importSpecifier, resolvedSpecifier } of remoteImports) {
+		const href = resolvedSpecifier.href;
+		if (resolvedSpecifier.protocol == "node:") continue;
+		if (!cachedImportSpecifiers.has(href)) {
+			pathSpecifiers.add(importSpecifier);
+			refetchedPathSpecifiers.add(importSpecifier);
+			continue;
+		}
+		if (resolvedSpecifier.protocol == "npm:") {
+			if (cachedNpmTypes[href]) pathSpecifiers.add(importSpecifier);
+		} else if (resolvedSpecifier.protocol == "jsr:") {
+			if (cachedJsrTypes[href]) pathSpecifiers.add(importSpecifier);
+		} else if (cachedVendoredFiles[href]) {
+			pathSpecifiers.add(importSpecifier);
+		}
+	}
+	for (const specifier of jsrDependencySpecifiers) {
+		const href = new URL(specifier).href;
+		if (!cachedImportSpecifiers.has(href)) {
+			pathSpecifiers.add(specifier);
+			refetchedPathSpecifiers.add(specifier);
+		} else if (cachedNpmTypes[href] || cachedJsrTypes[href]) {
+			pathSpecifiers.add(specifier);
+		}
+	}
+	const newTypesComments = new Set(plan.typesComments);
+	for (const remoteImport of remoteImports) {
+		const typesUrl = resolveTypesSpecifier(remoteImport, userImportMap);
+		if (!typesUrl) continue;
+		pathSpecifiers.add(remoteImport.importSpecifier);
+		if (newTypesComments.has(typesUrl.href)) refetchedPathSpecifiers.add(remoteImport.importSpecifier);
+	}
+	for (const specifier of Object.keys(exactTypeModules)) {
+		pathSpecifiers.add(specifier);
+	}
+	for (const specifier of plan.exactTypeModules) {
+		refetchedPathSpecifiers.add(specifier);
+	}
+	for (const { importSpecifier } of localImports) {
+		if (!isRelativeSpecifier(importSpecifier)) pathSpecifiers.add(importSpecifier);
+	}
+
+	const previousPathSpecifiers = new Set(cache?.generatedPathSpecifiers || []);
+	for (const specifier of pathSpecifiers) {
+		if (!previousPathSpecifiers.has(specifier)) {
+			plan.paths.added.push(specifier);
+		} else if (refetchedPathSpecifiers.has(specifier)) {
+			plan.paths.changed.push(specifier);
+		}
+	}
+	for (const specifier of previousPathSpecifiers) {
+		if (!pathSpecifiers.has(specifier)) plan.paths.removed.push(specifier);
+	}
+	return plan;
+}
+
 /**
  * Generates type files and a tsconfig.json file that you can include in your
  * tsconfig to make Deno types work.
+ *
+ * Returns a report that lists every processed specifier and where its types came from, as well as any files that
+ * failed to download. Use the `reportFile` option to write it to disk.
  * @param {GenerateTypesOptions} [options]
  */
 export async function generateTypes(options) {
+	return await runGenerateTypesWithReport(options);
+}
+
+/**
+ * @typedef CheckTypesResult
+ * @property {import("./src/checkTypes.js").TypeDiagnostic[]} diagnostics
+ * @property {number} errorCount The amount of diagnostics with the "error" category.
+ * @property {import("./src/report.js").RunReport} report The report from generating types, see `generateTypes`.
+ */
+
+/**
+ * Generates types and then type checks your project through the TypeScript compiler API, similar to running
+ * `tsc --noEmit -p tsconfig.json` afterwards. The diagnostics are returned rather than printed, so you can
+ * decide what to do with them:
+ * ```js
+ * const { diagnostics, errorCount } = await checkTypes({ include: ["./src/"] });
+ * ```
+ * Your project is checked with the version from the `typescriptVersion` option, or the one in node_modules/typescript.
+ * When neither exists, a recent version is used. Use the `project` option to point to your tsconfig.json.
+ * @param {GenerateTypesOptions} [options]
+ * @returns {Promise<CheckTypesResult>}
+ */
+export async function checkTypes(options) {
+	const report = await runGenerateTypesWithReport(options);
+
+	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const { project, typescriptVersion, logLevel } = fillOptionDefaults(options, denoConfig);
+	const logger = createLogger(logLevel);
+
+	let configPath = null;
+	const configCandidates = project ? [project] : ["tsconfig.json", "jsconfig.json"];
+	for (const candidate of configCandidates) {
+		const candidatePath = resolve(cwd, candidate);
+		try {
+			await Deno.stat(candidatePath);
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) continue;
+			throw e;
+		}
+		configPath = candidatePath;
+		break;
+	}
+	if (!configPath) {
+		throw new Error(
+			`No ${configCandidates.join(" or ")} was found in ${cwd}, use the \`project\` option to set one.`,
+		);
+	}
+
+	const version = await getTypeScriptVersion(typescriptVersion, cwd);
+	logger.info(`Type checking ${configPath}${version ? ` with TypeScript ${version}` : ""}`);
+	const diagnostics = await checkProject({ configPath, typescriptVersion: version });
+	const errorCount = diagnostics.filter((diagnostic) => diagnostic.category == "error").length;
+	return { diagnostics, errorCount, report };
+}
+
+/**
+ * @typedef WatchTypesEvent
+ * @property {string[]} changedFiles The absolute paths of the changed files that caused the regeneration.
+ * @property {string[]} addedSpecifiers Import specifiers that were added since the previous regeneration.
+ * @property {string[]} removedSpecifiers Import specifiers that were removed since the previous regeneration.
+ * @property {unknown} [error] Set when the regeneration failed. Failures are also logged, and watching
+ * continues regardless.
+ * @property {import("./src/report.js").RunReport} [report] The report of the regeneration, see `generateTypes`.
+ */
+
+/**
+ * Generates types and then keeps watching the files from the `include` option for changes.
+ * Only the imports of changed files are collected again, and when a remote import has been added or removed,
+ * the types are regenerated.
+ * When `entryPoints` are provided, the cwd is watched and the module graph is traversed again whenever a file changes.
+ *
+ * This yields an event for every regeneration. Watching stops once you break out of the loop:
+ * ```js
+ * for await (const event of watchTypes({ include: ["./src/"] })) {
+ *   console.log("Types were regenerated", event.addedSpecifiers);
+ * }
+ * ```
+ * @param {GenerateTypesOptions} [options]
+ * @returns {AsyncGenerator<WatchTypesEvent, void, void>}
+ */
+export async function* watchTypes(options) {
+	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const { entryPoints, include, exclude, excludeUrls, importMap, outputDir, logLevel } = fillOptionDefaults(
+		options,
+		denoConfig,
+	);
+	const logger = createLogger(logLevel);
+	const { userImportMap } = await loadImportMap(importMap, cwd, denoConfig);
+	const absoluteOutputDirPath = resolve(cwd, outputDir);
+	const isFileExcluded = createFileExcludeMatcher(cwd, exclude);
+
+	/**
+	 * @param {string} filePath
+	 */
+	function shouldCollectFile(filePath) {
+		if (!collectedFileExtensions.some((extension) => filePath.endsWith(extension))) return false;
+		if (filePath == absoluteOutputDirPath || filePath.startsWith(absoluteOutputDirPath + SEP)) return false;
+		return !isFileExcluded(filePath);
+	}
+
+	const absoluteIncludePaths = include.map((includePath) => resolve(cwd, includePath));
+	/**
+	 * @param {string} filePath
+	 */
+	function isInsideInclude(filePath) {
+		return absoluteIncludePaths.some((includePath) => {
+			return filePath == includePath || filePath.startsWith(includePath + SEP);
+		});
+	}
+
+	/**
+	 * The collected imports of every included file, mapped by the absolute file path.
+	 * @type {Map<string, import("./src/collectImports.js").PreCollectedImportsData>}
+	 */
+	const importsPerFile = new Map();
+
+	/**
+	 * @param {string} filePath
+	 */
+	async function collectFile(filePath) {
+		const collected = await collectImports({
+			baseDir: cwd,
+			include: [filePath],
+			exclude,
+			excludeUrls,
+			userImportMap,
+		});
+		importsPerFile.set(filePath, collected);
+	}
+
+	/**
+	 * The collected imports of the module graph of the entry points.
+	 * @type {import("./src/collectImports.js").PreCollectedImportsData?}
+	 */
+	let entryPointImports = null;
+
+	async function collectEntryPoints() {
+		if (entryPoints.length == 0) return;
+		entryPointImports = await collectImports({
+			baseDir: cwd,
+			entryPoints,
+			include: [],
+			exclude,
+			excludeUrls,
+			userImportMap,
+		});
+	}
+
+	function mergeImportsPerFile() {
+		/** @type {import("./src/collectImports.js").PreCollectedImportsData} */
+		const merged = {
+			remoteImports: [],
+			localImports: [],
+			needsAmbientModuleImportSpecifiers: [],
+			fileCount: 0,
+		};
+		/** @type {Set<string>} */
+		const ambientSpecifiers = new Set();
+		const allCollected = Array.from(importsPerFile.values());
+		if (entryPointImports) allCollected.push(entryPointImports);
+		for (const collected of allCollected) {
+			merged.remoteImports.push(...collected.remoteImports);
+			merged.localImports?.push(...(collected.localImports || []));
+			merged.fileCount = (merged.fileCount || 0) + (collected.fileCount || 0);
+			for (const specifier of collected.needsAmbientModuleImportSpecifiers) {
+				ambientSpecifiers.add(specifier);
+			}
+		}
+		merged.needsAmbientModuleImportSpecifiers = Array.from(ambientSpecifiers);
+		return merged;
+	}
+
+	/**
+	 * @param {import("./src/collectImports.js").PreCollectedImportsData} collected
+	 */
+	function getSpecifiers(collected) {
+		/** @type {Set<string>} */
+		const specifiers = new Set(collected.needsAmbientModuleImportSpecifiers);
+		for (const { importSpecifier, typesSpecifier } of collected.remoteImports) {
+			specifiers.add(importSpecifier);
+			if (typesSpecifier) specifiers.add(typesSpecifier);
+		}
+		for (const localImport of collected.localImports || []) {
+			if (needsTsConfigEntry(localImport)) specifiers.add(localImport.importSpecifier);
+		}
+		return specifiers;
+	}
+
+	logger.info("Collecting import specifiers from script files");
+	const files = await getIncludeExcludeFiles({
+		baseDir: cwd,
+		include,
+		exclude,
+		extensions: collectedFileExtensions,
+	});
+	for (const filePath of files) {
+		await collectFile(filePath);
+	}
+	await collectEntryPoints();
+	let collected = mergeImportsPerFile();
+	let specifiers = getSpecifiers(collected);
+	await runGenerateTypesWithReport(options, collected);
+
+	const watchPaths = [...absoluteIncludePaths];
+	if (entryPoints.length > 0) watchPaths.push(cwd);
+	const watcher = Deno.watchFs(watchPaths);
+	const iterator = watcher[Symbol.asyncIterator]();
+	/** @type {Promise<IteratorResult<Deno.FsEvent>>?} */
+	let pendingNext = null;
+	function nextFsEvent() {
+		if (!pendingNext) pendingNext = iterator.next();
+		return pendingNext;
+	}
+
+	try {
+		while (true) {
+			const first = await nextFsEvent();
+			pendingNext = null;
+			if (first.done) break;
+
+			/** @type {Set<string>} */
+			const changedPaths = new Set(first.value.paths);
+			// Editors tend to write files in several steps, so we'll wait for more
+			// events to come in before collecting imports again.
+			while (true) {
+				/** @type {number | undefined} */
+				let timeoutId;
+				/** @type {Promise<null>} */
+				const timeout = new Promise((r) => {
+					timeoutId = setTimeout(() => r(null), 100);
+				});
+				const result = await Promise.race([nextFsEvent(), timeout]);
+				clearTimeout(timeoutId);
+				if (!result) break;
+				pendingNext = null;
+				if (result.done) break;
+				for (const path of result.value.paths) {
+					changedPaths.add(path);
+				}
+			}
+
+			/** @type {string[]} */
+			const changedFiles = [];
+			for (const changedPath of changedPaths) {
+				if (!shouldCollectFile(changedPath)) continue;
+				let exists = true;
+				try {
+					const fileInfo = await Deno.stat(changedPath);
+					if (!fileInfo.isFile) continue;
+				} catch (e) {
+					if (!(e instanceof Deno.errors.NotFound)) throw e;
+					exists = false;
+				}
+				changedFiles.push(changedPath);
+				// Files outside the included paths are only collected when traversing the entry points below.
+				if (!isInsideInclude(changedPath)) continue;
+				if (exists) {
+					await collectFile(changedPath);
+				} else {
+					importsPerFile.delete(changedPath);
+				}
+			}
+			if (changedFiles.length == 0) continue;
+			await collectEntryPoints();
+
+			const newCollected = mergeImportsPerFile();
+			const newSpecifiers = getSpecifiers(newCollected);
+			const addedSpecifiers = [...newSpecifiers].filter((s) => !specifiers.has(s));
+			const removedSpecifiers = [...specifiers].filter((s) => !newSpecifiers.has(s));
+			collected = newCollected;
+			specifiers = newSpecifiers;
+			if (addedSpecifiers.length == 0 && removedSpecifiers.length == 0) continue;
+
+			logger.info("Imports have changed, regenerating types");
+			/** @type {WatchTypesEvent} */
+			const event = {
+				changedFiles,
+				addedSpecifiers,
+				removedSpecifiers,
+			};
+			try {
+				event.report = await runGenerateTypesWithReport(options, collected);
+			} catch (e) {
+				logger.error(`Failed to regenerate types: ${e instanceof Error ? e.message : e}`);
+				event.error = e;
+			}
+			yield event;
+		}
+	} finally {
+		watcher.close();
+	}
+}
+
+/**
+ * Generates types and writes the report to the `reportFile`, regardless of whether generating types succeeded.
+ * @param {GenerateTypesOptions} [options]
+ * @param {import("./src/collectImports.js").PreCollectedImportsData?} [collectedImports]
+ */
+async function runGenerateTypesWithReport(options, collectedImports = null) {
 	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
+	const { outputDir, reportFile } = fillOptionDefaults(options, denoConfig);
+	const report = createRunReport();
+	const startTime = performance.now();
+	try {
+		await runGenerateTypes(options, collectedImports, report);
+	} catch (e) {
+		report.error = e instanceof Error ? e.message : String(e);
+		throw e;
+	} finally {
+		report.duration = Math.round(performance.now() - startTime);
+		if (reportFile) await writeRunReport(resolve(cwd, outputDir, reportFile), report);
+	}
+	return report;
+}
+
+/**
+ * @param {GenerateTypesOptions} [options]
+ * @param {import("./src/collectImports.js").PreCollectedImportsData?} [collectedImports] When provided, this
+ * import data is used rather than collecting the imports from the included files.
+ * @param {import("./src/report.js").RunReport} [report] The report that the run is recorded in.
+ */
+async function runGenerateTypes(options, collectedImports = null, report = createRunReport()) {
+	const cwd = Deno.cwd();
+	const denoConfig = await loadDenoConfig(options?.denoConfig, cwd);
 	const {
+		entryPoints,
 		include,
 		exclude,
 		excludeUrls,
+		excludedTypes,
+		onVendorError,
 		importMap,
 		extraPaths,
 		extraTypeRoots,
 		exactTypeModules,
 		outputDir,
 		unstable,
+		prune,
+		npmRegistry,
+		jsrRegistry,
+		nodeTypesVersion,
+		typescriptVersion,
+		concurrency,
+		timeout,
+		retries,
+		preferDenoCache,
+		offline,
+		denoDir,
+		lock,
+		lockFile,
+		writeLock,
+		onEvent,
+		emitDeclarationsOnly,
 		logLevel,
 		preCollectedImportsFile,
-	} = fillOptionDefaults(options);
+	} = fillOptionDefaults(options, denoConfig);
 
 	const logger = createLogger(logLevel);
+	const emitEvent = createEventEmitter(onEvent, logger);
+	const maxConcurrency = Math.max(1, concurrency);
+	const useDenoCache = preferDenoCache || offline;
+	const resolvedDenoDir = denoDir ? resolve(cwd, denoDir) : getDefaultDenoDir();
+	/**
+	 * The urls that were needed but weren't in the Deno cache, only used in offline mode.
+	 * @type {Set<string>}
+	 */
+	const missingFromDenoCache = new Set();
+	let fetcher = createFetcher({
+		concurrency: maxConcurrency,
+		timeout,
+		retries,
+		logger,
+		onProgress(url, loadedBytes, totalBytes) {
+			// The npm types fetcher is created once the cache file has been read, before anything is downloaded.
+			npmTypesFetcher.reportDownloadProgress(url, loadedBytes, totalBytes);
+		},
+	});
+	if (useDenoCache) {
+		fetcher = createDenoCacheFetcher({
+			denoDir: resolvedDenoDir,
+			npmRegistry,
+			offline,
+			missingUrls: missingFromDenoCache,
+			fetcher,
+		});
+	}
 
-	const absoluteOutputDirPath = resolve(cwd, outputDir);
+	/**
+	 * In offline mode, throws an error that lists everything that is missing from the Deno cache.
+	 * This way the user sees all missing urls at once, rather than only the one that happened to fail first.
+	 */
+	function throwIfMissingFromDenoCache() {
+		if (missingFromDenoCache.size > 0) throw createMissingFromDenoCacheError(missingFromDenoCache);
+	}
+
+	/**
+	 * Rethrows an error, unless something is missing from the Deno cache. In that case the error that lists
+	 * everything that is missing is thrown instead, since the error was most likely caused by this.
+	 * @param {unknown} error
+	 * @returns {never}
+	 */
+	function rethrowIfNotMissingFromDenoCache(error) {
+		if (missingFromDenoCache.size > 0) throw createMissingFromDenoCacheError(missingFromDenoCache, error);
+		throw error;
+	}
+
+	const lockfileVerifier = await createLockfileVerifier({
+		lockFilePath: (lock || writeLock) && lockFile ? resolve(cwd, lockFile) : null,
+		lock,
+		writeLock,
+		logger,
+	});
+	const { verifyRemoteIntegrity, verifyNpmIntegrity } = lockfileVerifier;
 
 	/**
-	 * @typedef CacheFileData
-	 * @property {string[]} [vendoredImports]
-	 * @property {string} [denoTypesVersion]
-	 * @property {Object.<string, string>} [fetchedTypeRoots]
-	 * @property {Object<string, string>} [fetchedExactTypeModules]
+	 * Logs a declaration file that couldn't be downloaded and adds it to the report.
+	 * @param {string} url
+	 * @param {string} importer The file path or url that the declaration file was referenced from.
+	 * @param {unknown} error
 	 */
+	function reportFailedTypesFetch(url, importer, error) {
+		const message = error instanceof Error ? error.message : String(error);
+		logger.warning(`Failed to fetch the types at ${url}, which are referenced from ${importer}: ${message}`);
+		report.failedTypesFetches.push({ url, importer, error: message });
+	}
+
+	const absoluteOutputDirPath = resolve(cwd, outputDir);
 
 	const cacheFilePath = resolve(absoluteOutputDirPath, "cacheFile.json");
-	/** @type {CacheFileData?} */
-	let cache = null;
-	let cacheExists = true;
-	try {
-		await Deno.stat(cacheFilePath);
-	} catch (e) {
-		if (e instanceof Deno.errors.NotFound) {
-			cacheExists = false;
-		} else {
-			throw e;
-		}
-	}
-	if (cacheExists) {
-		const cacheStr = await Deno.readTextFile(cacheFilePath);
-		cache = JSON.parse(cacheStr);
-	}
+	const cache = await readCacheFile(cacheFilePath);
 
 	/**
 	 * A list of import specifier that were vendored the last time the script was run.
 	 * @type {Set<string>}
 	 */
 	const cachedImportSpecifiers = new Set();
-	if (cache?.vendoredImports) {
+	// Cache files from older versions don't contain the locations of vendored files,
+	// in which case we need to vendor everything again.
+	// Vendored files are replaced with declarations in one mode but not in the other,
+	// so changing `emitDeclarationsOnly` requires vendoring everything again as well.
+	const hasSameDeclarationsMode = Boolean(cache?.emitDeclarationsOnly) == emitDeclarationsOnly;
+	const hasVendoredFileLocations = Boolean(cache?.vendoredFiles) && hasSameDeclarationsMode;
+	if (cache?.vendoredImports && hasVendoredFileLocations) {
 		for (const importSpecifier of cache.vendoredImports) {
 			cachedImportSpecifiers.add(importSpecifier);
 		}
 	}
+	const cachedVendoredFiles = (hasVendoredFileLocations && cache?.vendoredFiles) || {};
+	const cachedVendoredModules = (hasVendoredFileLocations && cache?.vendoredModules) || {};
+	const cachedTypesHeaders = (hasVendoredFileLocations && cache?.typesHeaders) || {};
+
+	const userTypeScriptVersion = await getTypeScriptVersion(typescriptVersion, cwd);
+	const npmTypesFetcher = createNpmTypesFetcher({
+		registry: npmRegistry,
+		outputDirPath: absoluteOutputDirPath,
+		cacheData: (hasVendoredFileLocations && cache) || {},
+		typescriptVersion: userTypeScriptVersion,
+		denoDir: useDenoCache ? resolvedDenoDir : null,
+		offline,
+		missingUrls: missingFromDenoCache,
+		verifyTarball: verifyNpmIntegrity,
+		fetcher,
+		logger,
+		emitEvent,
+	});
+	const { typesPaths: npmTypesPaths, packageDirs: npmPackageDirs, getNpmPackage } = npmTypesFetcher;
 
 	const denoTypesVersion = cache?.denoTypesVersion || "";
 	const cachedTypeRoots = cache?.fetchedTypeRoots || {};
 	const cachedExactTypeModules = cache?.fetchedExactTypeModules || {};
+	const cachedExcludedTypes = cache?.fetchedExcludedTypes || {};
+	/** @type {Object.<string, string[]>} */
+	const ambientFallbackUrls = { ...cache?.ambientFallbackUrls };
 
 	/** @type {CacheFileData} */
 	let newCacheData = {
 		...cache,
 	};
+	/** @type {Promise<void>} */
+	let cacheFileWrite = Promise.resolve();
 
 	/**
 	 * @param {Partial<CacheFileData>} setProps
@@ -254,7 +1220,9 @@ export async function generateTypes(options) {
 			...setProps,
 		};
 		const cacheDataStr = JSON.stringify(newCacheData, null, "\t");
-		await Deno.writeTextFile(cacheFilePath, cacheDataStr);
+		// Modules are vendored in parallel, so writes are queued to prevent them from interleaving.
+		cacheFileWrite = cacheFileWrite.then(() => Deno.writeTextFile(cacheFilePath, cacheDataStr));
+		await cacheFileWrite;
 	}
 
 	await createTypesDir(absoluteOutputDirPath);
@@ -316,22 +1284,24 @@ export {};
 	});
 	/** @type {Object.<string, string>} */
 	const newFetchedTypeRoots = {};
-	for (const [folderName, url] of Object.entries(extraTypeRoots)) {
-		if (cachedTypeRoots[folderName] != url) {
-			logger.debug(`Fetching type root ${folderName}`);
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(
-					`Failed to fetch type root ${folderName}, the server responded with status code ${response.status}`,
-				);
+	await Promise.all(
+		Object.entries(extraTypeRoots).map(async ([folderName, url]) => {
+			if (cachedTypeRoots[folderName] != url) {
+				logger.debug(`Fetching type root ${folderName}`);
+				const response = await fetcher(url);
+				if (!response.ok) {
+					throw new Error(
+						`Failed to fetch type root ${folderName}, the server responded with status code ${response.status}`,
+					);
+				}
+				const typeRootDirPath = resolve(typeRootsDirPath, folderName);
+				await ensureDir(typeRootDirPath);
+				const typeRootFilePath = resolve(typeRootDirPath, "index.d.ts");
+				await Deno.writeTextFile(typeRootFilePath, await response.text());
 			}
-			const typeRootDirPath = resolve(typeRootsDirPath, folderName);
-			await ensureDir(typeRootDirPath);
-			const typeRootFilePath = resolve(typeRootDirPath, "index.d.ts");
-			await Deno.writeTextFile(typeRootFilePath, await response.text());
-		}
-		newFetchedTypeRoots[folderName] = url;
-	}
+			newFetchedTypeRoots[folderName] = url;
+		}),
+	).catch(rethrowIfNotMissingFromDenoCache);
 	await updateCacheData({
 		fetchedTypeRoots: newFetchedTypeRoots,
 	});
@@ -351,118 +1321,115 @@ export {};
 	 */
 	const fetchedExactTypeModulesPathMappings = new Map();
 	const exactTypesDirPath = resolve(absoluteOutputDirPath, "exactTypes");
-	for (const [specifier, url] of Object.entries(exactTypeModules)) {
-		// Note that this sanitization can cause different specifiers to point to the same file.
-		// i.e. 'my:specifier' and 'my%specifier' will both end up being sanitized to 'my_specifier'.
-		// But this case seems pretty rare so this will do for now.
-		const sanitizedSpecifier = sanitizeFileName(specifier);
-		const dirPath = resolve(exactTypesDirPath, sanitizedSpecifier);
-		const filePath = resolve(dirPath, "index.d.ts");
-		fetchedExactTypeModulesPathMappings.set(specifier, filePath);
-
-		if (cachedExactTypeModules[specifier] != url) {
-			logger.debug(`Fetching exact types for ${specifier}`);
-			const response = await fetch(url);
-			if (!response.ok) {
-				throw new Error(
-					`Failed to fetch exact types for ${specifier}, the server responded with status code ${response.status}.`,
-				);
+	await Promise.all(
+		Object.entries(exactTypeModules).map(async ([specifier, url]) => {
+			// Note that this sanitization can cause different specifiers to point to the same file.
+			// i.e. 'my:specifier' and 'my%specifier' will both end up being sanitized to 'my_specifier'.
+			// But this case seems pretty rare so this will do for now.
+			const sanitizedSpecifier = sanitizeFileName(specifier);
+			const dirPath = resolve(exactTypesDirPath, sanitizedSpecifier);
+			const filePath = resolve(dirPath, "index.d.ts");
+			fetchedExactTypeModulesPathMappings.set(specifier, filePath);
+
+			if (cachedExactTypeModules[specifier] != url) {
+				logger.debug(`Fetching exact types for ${specifier}`);
+				const response = await fetcher(url);
+				if (!response.ok) {
+					throw new Error(
+						`Failed to fetch exact types for ${specifier}, the server responded with status code ${response.status}.`,
+					);
+				}
+				await ensureDir(dirPath);
+				await Deno.writeTextFile(filePath, await response.text());
 			}
-			await ensureDir(dirPath);
-			await Deno.writeTextFile(filePath, await response.text());
-		}
-		newFetchedExactTypeModules[specifier] = url;
-	}
+			newFetchedExactTypeModules[specifier] = url;
+		}),
+	).catch(rethrowIfNotMissingFromDenoCache);
 	await updateCacheData({ fetchedExactTypeModules: newFetchedExactTypeModules });
 
-	const { userImportMap, userImportMapPath } = await loadImportMap(importMap, cwd);
+	const { userImportMap, userImportMapPath, userImportMapData } = await loadImportMap(importMap, cwd, denoConfig);
 
-	/** @type {import("./src/collectImports.js").PreCollectedImportsData?} */
-	let preCollectedImports = null;
-	if (preCollectedImportsFile) {
-		const preCollectedImportsFilePath = resolve(absoluteOutputDirPath, preCollectedImportsFile);
-		let preCollectedImportsStr = null;
-		try {
-			preCollectedImportsStr = await Deno.readTextFile(preCollectedImportsFilePath);
-		} catch (e) {
-			if (!(e instanceof Deno.errors.NotFound)) {
-				throw e;
-			}
-		}
-		if (preCollectedImportsStr) {
-			let preCollectedImportsJson = null;
-			try {
-				preCollectedImportsJson = JSON.parse(preCollectedImportsStr);
-			} catch {
-				throw new Error(
-					`The file at ${preCollectedImportsFilePath} appears to be corrupt and couldn't be parsed.`,
-				);
-			}
-			for (const remoteImport of preCollectedImportsJson.remoteImports) {
-				remoteImport.resolvedSpecifier = new URL(remoteImport.resolvedSpecifier);
-			}
-			preCollectedImports = preCollectedImportsJson;
-		} else {
-			logger.warning(`No pre-collected imports file was found at ${preCollectedImportsFilePath}.`);
-		}
-	}
+	// Fetch types for `excludeUrls` entries that provide them:
 
-	if (!preCollectedImports) {
-		logger.info("Collecting import specifiers from script files");
-		preCollectedImports = await collectImports({
-			baseDir: cwd,
-			include,
-			exclude,
-			excludeUrls,
-			userImportMap,
-		});
-	}
+	// Clear the cache in case anything goes wrong.
+	await updateCacheData({ fetchedExcludedTypes: {} });
+	const { typesPaths: excludedTypesPaths, fetchedSources } = await fetchExcludedTypes({
+		excludedTypes,
+		cachedSources: cachedExcludedTypes,
+		cwd,
+		outputDirPath: absoluteOutputDirPath,
+		userImportMap,
+		fetcher,
+		logger,
+		reportFailedFetch: reportFailedTypesFetch,
+	}).catch(rethrowIfNotMissingFromDenoCache);
+	await updateCacheData({ fetchedExcludedTypes: fetchedSources });
+
+	emitEvent({ type: "collectStart" });
+	const preCollectedImports = collectedImports || await getCollectedImports({
+		cwd,
+		absoluteOutputDirPath,
+		preCollectedImportsFile,
+		entryPoints,
+		include,
+		exclude,
+		excludeUrls,
+		userImportMap,
+		logger,
+	});
 
 	const { remoteImports, needsAmbientModuleImportSpecifiers } = preCollectedImports;
+	const localImports = preCollectedImports.localImports || [];
+	emitEvent({
+		type: "collectEnd",
+		fileCount: preCollectedImports.fileCount ?? null,
+		remoteImportCount: remoteImports.length,
+		localImportCount: localImports.length,
+	});
 
-	{
-		let allCached = true;
-		for (const { resolvedSpecifier } of remoteImports) {
-			if (!cachedImportSpecifiers.has(resolvedSpecifier.href)) {
-				allCached = false;
-				break;
-			}
-		}
-
-		if (allCached) {
-			logger.info("No imports have changed since the last run");
-			// TODO: Don't return here, instead only vendor the specifiers that have
-			// changed. #18
-			// If no specifiers have changed that doesn't necessarily mean that
-			// there's no work left to do. For instance the exactTypeModules
-			// property might have changed.
-			return;
+	const vendorOutputPath = resolve(absoluteOutputDirPath, "vendor");
+	if (cache && !hasSameDeclarationsMode) {
+		// Declarations from a previous run would otherwise take precedence over the vendored files.
+		try {
+			await Deno.remove(vendorOutputPath, { recursive: true });
+		} catch (e) {
+			if (!(e instanceof Deno.errors.NotFound)) throw e;
 		}
+		await updateCacheData({ vendoredImports: [] });
 	}
-
-	// At this point, we know we'll be regenerating all the files, so we'll remove
-	// vendoredImports from cache file. This is because if the script fails at this
-	// point, the generated types might be corrupted. Removing the cache file
-	// ensures that subsequent runs are forced to start with a fresh cache.
-	if (cacheExists) {
-		await updateCacheData({
-			vendoredImports: [],
-		});
-	}
-
-	const vendorOutputPath = resolve(absoluteOutputDirPath, "vendor");
+	await updateCacheData({ emitDeclarationsOnly });
 	/**
 	 * Maps imported urls to paths of where the resources were saved.
+	 * This includes files that were vendored in previous runs, so that the
+	 * paths of modules that are not vendored again still end up in the tsconfig.json.
 	 * @type {Map<string, string>}
 	 */
 	const allVendoredFiles = new Map();
+	for (const [url, relativePath] of Object.entries(cachedVendoredFiles)) {
+		allVendoredFiles.set(url, resolve(absoluteOutputDirPath, relativePath));
+	}
+
+	const jsrTypesFetcher = createJsrTypesFetcher({
+		registry: jsrRegistry,
+		outputDirPath: absoluteOutputDirPath,
+		cacheData: (hasVendoredFileLocations && cache) || {},
+		fetcher,
+		logger,
+		emitEvent,
+	});
+	const { typesPaths: jsrTypesPaths, dependencies: jsrDependencies } = jsrTypesFetcher;
 
 	/**
-	 * A list of found npm imports to be added to the tsconfig.json later.
-	 * Key is the import specifier, value is the absolute path to the downloaded .d.ts file in the .denoTypes directory.
+	 * Maps vendored urls to the url from their `X-TypeScript-Types` header.
 	 * @type {Map<string, string>}
 	 */
-	const npmImports = new Map();
+	const typesHeaders = new Map(Object.entries(cachedTypesHeaders));
+
+	/**
+	 * Maps resolved specifiers to the urls of all the files that were vendored for it.
+	 * @type {Object.<string, string[]>}
+	 */
+	const vendoredModules = { ...cachedVendoredModules };
 
 	/**
 	 * The list of remote imports mapped by their resolved specifier.
@@ -480,13 +1447,48 @@ export {};
 		arr.push(remoteImport);
 	}
 
-	logger.info("Vendoring collected import urls.");
+	/**
+	 * Loops over all the parsed import maps and returns the resolved specifier
+	 * for the first occurrence that resolves to a file location inside the
+	 * vendor directory. Returns `null` if no import map resolves to a file
+	 * inside the vendor directory.
+	 * @param {URL} baseUrl
+	 * @param {string} moduleSpecifier
+	 */
+	function resolveModuleSpecifierAll(baseUrl, moduleSpecifier) {
+		const resolved = resolveModuleSpecifier(userImportMap, baseUrl, moduleSpecifier);
+		const filePath = allVendoredFiles.get(resolved.href);
+		if (!filePath) return null;
+		return new URL("file://" + filePath);
+	}
+
+	/**
+	 * Marks a resolved specifier as done and stores all the vendored file locations in the cache file.
+	 * This way, if something goes wrong halfway through, the next run only has to process
+	 * the specifiers that weren't finished yet.
+	 * @param {string} resolvedSpecifier
+	 */
+	async function markSpecifierDone(resolvedSpecifier) {
+		cachedImportSpecifiers.add(resolvedSpecifier);
+		/** @type {Object.<string, string>} */
+		const vendoredFiles = {};
+		for (const [url, path] of allVendoredFiles) {
+			vendoredFiles[url] = relative(absoluteOutputDirPath, path);
+		}
+		await updateCacheData({
+			vendoredImports: Array.from(cachedImportSpecifiers),
+			vendoredModules,
+			vendoredFiles,
+			...npmTypesFetcher.getCacheData(),
+			...jsrTypesFetcher.getCacheData(),
+			typesHeaders: Object.fromEntries(typesHeaders),
+		});
+	}
 
 	/** @type {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ImportMapData} */
 	let temporaryImportMap = {};
-	if (userImportMapPath) {
-		const text = await Deno.readTextFile(userImportMapPath);
-		temporaryImportMap = JSON.parse(text);
+	if (userImportMapData) {
+		temporaryImportMap = structuredClone(userImportMapData);
 	}
 	if (!temporaryImportMap.imports) {
 		temporaryImportMap.imports = {};
@@ -507,76 +1509,114 @@ export {};
 		// Though this is likely pretty rare at the moment since npm specifiers in remote modules still requires
 		// the --unstable flag for now.
 		temporaryImportMap.imports["npm:typescript@4.7.4"] = dummyUrl;
+
+		// Urls that failed in a previous run are not fetched again.
+		for (const urls of Object.values(ambientFallbackUrls)) {
+			for (const url of urls) {
+				temporaryImportMap.imports[url] = dummyUrl;
+			}
+		}
 	}
+	const temporaryImportMapBaseUrl = new URL(toFileUrl(userImportMapPath || resolve(cwd, "importMap.json")));
+	let parsedTemporaryImportMap = parseImportMap(temporaryImportMap, temporaryImportMapBaseUrl);
 
-	for (const [resolvedSpecifier, importDatas] of mergedRemoteImports) {
-		// If we already vendored this specifier in the last run, there's no need
-		// to vendor it again. This should speed things up significantly when there
-		// are a lot of remote imports.
-		if (cachedImportSpecifiers.has(resolvedSpecifier)) continue;
+	const vendorModificationLimiter = createLimiter(1);
+	/**
+	 * The paths of the files that were vendored during this run, which are replaced with declarations once vendoring
+	 * has finished.
+	 * @type {string[]}
+	 */
+	const declarationEmitPaths = [];
 
-		if (resolvedSpecifier.startsWith("npm:")) {
-			const npmSpecifier = resolvedSpecifier.slice(4);
-			const packageData = await fetchNpmPackage(splitNameAndVersion(npmSpecifier));
-			const typesPath = packageData.registryData.types || packageData.registryData.typings;
-			if (!typesPath || typeof typesPath != "string") continue;
-
-			const absoluteTypesPath = resolve("/", typesPath);
-			logger.debug(`Fetching types for ${resolvedSpecifier}`);
-			const npmPackageDestinationDir = resolve(
-				absoluteOutputDirPath,
-				"npmTypes",
-				packageData.packageName,
-				packageData.version,
-			);
-			await ensureDir(npmPackageDestinationDir);
-			for await (const entry of packageData.getPackageContents()) {
-				if (entry.type != "file") continue;
-				const destinationPath = resolve(npmPackageDestinationDir, entry.fileName);
-				const destinationDir = dirname(destinationPath);
-				await ensureDir(destinationDir);
-				await ensureFile(destinationPath);
-				const file = await Deno.open(destinationPath, { write: true });
-				await streams.copy(entry, file);
-				file.close();
-
-				const resolved = resolve("/", entry.fileName);
-				if (resolved == absoluteTypesPath) {
-					for (const importData of importDatas) {
-						npmImports.set(importData.importSpecifier, destinationPath);
-					}
-				}
-			}
+	/**
+	 * Vendors a remote module and modifies the newly vendored files so that they work with tsc.
+	 * Returns the urls of files that failed to download.
+	 * @param {string} resolvedSpecifier
+	 * @param {import("./src/collectImports.js").RemoteImportData[]} importDatas
+	 */
+	async function vendorRemoteImport(resolvedSpecifier, importDatas) {
+		logger.debug(`Vendoring ${resolvedSpecifier}`);
+		/** @type {string[]} */
+		const failedSubmoduleUrls = [];
+		/** @param {{url: string}} error */
+		const onFetchError = (error) => {
+			failedSubmoduleUrls.push(error.url);
+		};
+		/** @type {import("./src/denoCache.js").VendoredFile[]} */
+		let vendorFiles;
+		if (useDenoCache) {
+			// `vendor()` always fetches modules itself, so it can't read from the Deno cache.
+			vendorFiles = await vendorWithFetcher({
+				entryPoint: resolvedSpecifier,
+				outDir: vendorOutputPath,
+				parsedImportMap: parsedTemporaryImportMap,
+				fetcher,
+				onFetchError,
+				verifyIntegrity: verifyRemoteIntegrity,
+			});
 		} else {
-			logger.debug(`Vendoring ${resolvedSpecifier}`);
-			/** @type {string[]} */
-			let failedSubmoduleUrls = [];
-			const vendorFiles = await vendor({
+			const files = await vendor({
 				entryPoints: [resolvedSpecifier],
 				outDir: vendorOutputPath,
-				parsedImportMap: userImportMap || {},
+				parsedImportMap: parsedTemporaryImportMap,
 				includeTypeImports: true,
-				onFetchError: (error) => {
-					failedSubmoduleUrls.push(error.url);
-				},
+				onFetchError,
+			});
+			// `vendor()` writes the files itself, so these can only be verified by reading them back.
+			await Promise.all(files.map(async ({ url, path }) => {
+				if (!allVendoredFiles.has(url)) await verifyRemoteIntegrity(url, url, await Deno.readFile(path));
+			}));
+			vendorFiles = await fetchTypesHeaders(files);
+		}
+		const newVendorFiles = vendorFiles.filter(({ url }) => !allVendoredFiles.has(url));
+		for (const { url, path } of vendorFiles) {
+			allVendoredFiles.set(url, path);
+		}
+		if (emitDeclarationsOnly) declarationEmitPaths.push(...newVendorFiles.map((f) => f.path));
+		vendoredModules[resolvedSpecifier] = vendorFiles.map((f) => f.url);
+
+		if (failedSubmoduleUrls.length > 0) {
+			const importSpecifiers = new Set(importDatas.map((d) => d.importSpecifier));
+			const importFilePaths = Array.from(new Set(importDatas.map((d) => d.importerFilePath)));
+			let suggestedExcludeUrl = resolvedSpecifier;
+			let excludeString = resolvedSpecifier;
+			if (importSpecifiers.size == 1) {
+				const importSpecifier = importSpecifiers.values().next().value;
+				if (!importSpecifier) {
+					throw new Error("Assertion failed, importSpecifier is undefined");
+				}
+				// A single import specifier, such as one from an import map, is what the user is most likely to recognize.
+				suggestedExcludeUrl = importSpecifier;
+				if (resolvedSpecifier != importSpecifier) {
+					excludeString = `${importSpecifier}" or "${resolvedSpecifier}`;
+				}
+			}
+			report.failedSubmodules.push({
+				specifier: resolvedSpecifier,
+				urls: failedSubmoduleUrls,
+				importerFilePaths: importFilePaths,
+				suggestedExcludeUrl,
 			});
-			for (const { url, path } of vendorFiles) {
-				allVendoredFiles.set(url, path);
+			if (!report.suggestedExcludeUrls.includes(suggestedExcludeUrl)) {
+				report.suggestedExcludeUrls.push(suggestedExcludeUrl);
 			}
 
-			if (failedSubmoduleUrls.length > 0) {
-				let excludeString = yellow(resolvedSpecifier);
-				const importSpecifiers = new Set(importDatas.map((d) => d.importSpecifier));
-				const importFilePaths = new Set(importDatas.map((d) => d.importerFilePath));
-				if (importSpecifiers.size == 1) {
-					const importSpecifier = importSpecifiers.values().next().value;
-					if (!importSpecifier) {
-						throw new Error("Assertion failed, importSpecifier is undefined");
-					}
-					if (resolvedSpecifier != importSpecifier) {
-						excludeString = `${yellow(importSpecifier)}" or "${yellow(resolvedSpecifier)}`;
+			// In offline mode, the missing files are listed once all modules have been vendored.
+			if (!offline && onVendorError == "ambient") {
+				ambientFallbackUrls[resolvedSpecifier] = failedSubmoduleUrls;
+				if (temporaryImportMap.imports) {
+					const dummyUrl = toFileUrl(dummyModulePath).href;
+					for (const url of failedSubmoduleUrls) {
+						temporaryImportMap.imports[url] = dummyUrl;
 					}
+					parsedTemporaryImportMap = parseImportMap(temporaryImportMap, temporaryImportMapBaseUrl);
 				}
+				await updateCacheData({ ambientFallbackUrls });
+				logger.warning(
+					`Failed to fetch some files for ${resolvedSpecifier}, these were replaced with ambient modules without types:
+${failedSubmoduleUrls.map((f) => `  ${f}`).join("\n")}`,
+				);
+			} else if (!offline) {
 				let importmapMessage;
 				if (userImportMapPath) {
 					importmapMessage =
@@ -584,80 +1624,377 @@ export {};
 				} else {
 					importmapMessage = `Aternatively you can add any offending imports to an import map.`;
 				}
-				console.warn(
-					`
-
-${yellow(`Failed to fetch some files for ${resolvedSpecifier}.`)}
+				const message = `Failed to fetch some files for ${resolvedSpecifier}.
 
-The error occurred while vendoring "${blue(resolvedSpecifier)}" which was imported in the following files:
-${Array.from(importFilePaths).map((f) => `  ${f}`).join("\n")}
+The error occurred while vendoring "${resolvedSpecifier}" which was imported in the following files:
+${importFilePaths.map((f) => `  ${f}`).join("\n")}
 
 Some or all files of this module may not have been downloaded. Specifically these files failed:
 ${failedSubmoduleUrls.map((f) => `  ${f}`).join("\n")}
 
-Consider adding "${excludeString}" to 'excludeUrls' to skip this import.
-${importmapMessage}
-`,
-				);
+Consider adding "${excludeString}" to 'excludeUrls' to skip this import, or set 'onVendorError' to "ambient".
+${importmapMessage}`;
+				if (onVendorError == "throw") throw new Error(message);
+				logger.warning(message);
 			}
 		}
+
+		// Files that were already vendored for another specifier are skipped by `modifyVendoredFiles`.
+		// Modules that are vendored in parallel can share files, so only one module is modified at a time.
+		const collectedDtsFiles = await vendorModificationLimiter(async () => {
+			emitEvent({
+				type: "modifyVendoredFilesStart",
+				specifier: resolvedSpecifier,
+				fileCount: vendorFiles.length,
+			});
+			const collectedDtsFiles = await modifyVendoredFiles({
+				logger,
+				filePaths: vendorFiles.map((f) => f.path),
+				resolveModuleSpecifier: resolveModuleSpecifierAll,
+			});
+			emitEvent({ type: "modifyVendoredFilesEnd", specifier: resolvedSpecifier });
+			return collectedDtsFiles;
+		});
+		// Types from comments take precedence over the X-TypeScript-Types header, so these are written last.
+		await fetchCollectedDtsFiles(getTypesHeaderDtsFiles(newVendorFiles));
+		await fetchCollectedDtsFiles(collectedDtsFiles);
+		return failedSubmoduleUrls;
 	}
 
 	/**
-	 * Loops over all the parsed import maps and returns the resolved specifier
-	 * for the first occurrence that resolves to a file location inside the
-	 * vendor directory. Returns `null` if no import map resolves to a file
-	 * inside the vendor directory.
-	 * @param {URL} baseUrl
-	 * @param {string} moduleSpecifier
+	 * Returns the path that a JSON, text or Wasm module is vendored to. This mirrors the url, similar to how
+	 * other vendored files are stored.
+	 * @param {URL} url
+	 * @param {import("./src/moduleDeclarations.js").NonScriptModuleType} moduleType
 	 */
-	function resolveModuleSpecifierAll(baseUrl, moduleSpecifier) {
-		const resolved = resolveModuleSpecifier(userImportMap, baseUrl, moduleSpecifier);
-		const filePath = allVendoredFiles.get(resolved.href);
-		if (!filePath) return null;
-		return new URL("file://" + filePath);
+	function getNonScriptModulePath(url, moduleType) {
+		const segments = url.pathname.split("/").filter((segment) => segment).map((s) => sanitizeFileName(s));
+		if (segments.length == 0) segments.push("index");
+		if (moduleType == "json" && !segments[segments.length - 1].endsWith(".json")) {
+			segments[segments.length - 1] += ".json";
+		}
+		return resolve(vendorOutputPath, sanitizeFileName(url.host), ...segments);
 	}
 
-	const collectedDtsFiles = await modifyVendoredFiles({
-		logger,
-		vendorOutputPath,
-		resolveModuleSpecifier: resolveModuleSpecifierAll,
-	});
-
-	logger.debug("Fetching .d.ts files for vendored files.");
-	const dtsFetchPromises = [];
-	// We'll use an empty import map for resolving the urls in @deno-types comments.
-	// Otherwise the urls end up resolving to the local file system since the types url is
-	// likely the same as the .js file.
-	const emptyImportMap = createEmptyImportMap();
-	for (const { denoTypesUrl, vendorFilePath, moduleSpecifier } of collectedDtsFiles) {
-		const promise = (async () => {
-			const baseUrl = new URL(toFileUrl(vendorFilePath));
-			const resolvedDenoTypesUrl = resolveModuleSpecifier(emptyImportMap, baseUrl, denoTypesUrl);
-			if (resolvedDenoTypesUrl && resolvedDenoTypesUrl.protocol === "file:") {
-				// The types url is already pointing to a local file, so we don't need to fetch it.
-				return;
+	/**
+	 * Downloads a JSON, text or Wasm module into the vendor directory and places a declaration file describing
+	 * its exports next to it, the same way .d.ts files from @deno-types comments are placed.
+	 * @param {string} resolvedSpecifier
+	 * @param {import("./src/collectImports.js").RemoteImportData[]} importDatas
+	 */
+	async function vendorNonScriptModule(resolvedSpecifier, importDatas) {
+		const url = new URL(resolvedSpecifier);
+		const moduleType = getNonScriptModuleType(url, getAttributeType(importDatas));
+		if (!moduleType) return;
+		logger.debug(`Vendoring ${resolvedSpecifier} as a ${moduleType} module`);
+		const filePath = getNonScriptModulePath(url, moduleType);
+		try {
+			const response = await fetcher(url);
+			if (!response.ok) {
+				await response.body?.cancel();
+				throw new Error(`The server responded with status code ${response.status}.`);
+			}
+			const bytes = new Uint8Array(await response.arrayBuffer());
+			await verifyRemoteIntegrity(resolvedSpecifier, response.url || resolvedSpecifier, bytes);
+			let declaration;
+			if (moduleType == "json") {
+				declaration = createJsonDeclaration(new TextDecoder().decode(bytes));
+			} else if (moduleType == "wasm") {
+				declaration = createWasmDeclaration(bytes);
+			} else {
+				declaration = createAttributeModuleDeclaration(moduleType);
 			}
-			logger.debug(`Fetching ${denoTypesUrl}`);
-			const response = await fetch(denoTypesUrl);
-			const text = await response.text();
-			const dtsDestination = resolveModuleSpecifierAll(baseUrl, moduleSpecifier);
-			if (!dtsDestination) {
-				// TODO: Show a warning
-				return;
+			const parsedPath = parse(filePath);
+			await ensureDir(parsedPath.dir);
+			await Deno.writeFile(filePath, bytes);
+			await Deno.writeTextFile(format({ dir: parsedPath.dir, name: parsedPath.name, ext: ".d.ts" }), declaration);
+		} catch (e) {
+			reportFailedTypesFetch(resolvedSpecifier, importDatas[0]?.importerFilePath || resolvedSpecifier, e);
+			return;
+		}
+		allVendoredFiles.set(resolvedSpecifier, filePath);
+		vendoredModules[resolvedSpecifier] = [resolvedSpecifier];
+	}
+
+	/**
+	 * `vendor()` doesn't expose the responses of the files it downloads, so the `X-TypeScript-Types` header of
+	 * vendored JavaScript files is requested separately. Only the headers are requested, not the files themselves.
+	 * @param {{url: string, path: string}[]} files
+	 * @returns {Promise<import("./src/denoCache.js").VendoredFile[]>}
+	 */
+	function fetchTypesHeaders(files) {
+		return Promise.all(files.map(async ({ url, path }) => {
+			if (!/\.[mc]?jsx?$/.test(path) || allVendoredFiles.has(url)) return { url, path, typesUrl: null };
+			try {
+				const response = await fetcher(url, { method: "HEAD" });
+				const typesHeader = response.headers.get("X-TypeScript-Types");
+				const typesUrl = typesHeader ? new URL(typesHeader, response.url || url).href : null;
+				return { url, path, typesUrl };
+			} catch (e) {
+				reportFailedTypesFetch(url, path, e);
+				return { url, path, typesUrl: null };
 			}
-			const parsedDestination = parse(fromFileUrl(dtsDestination));
-			const dtsDestinationPath = format({
-				dir: parsedDestination.dir,
-				name: parsedDestination.name,
-				root: parsedDestination.root,
-				ext: ".d.ts",
+		}));
+	}
+
+	/**
+	 * Collects the declarations from the `X-TypeScript-Types` headers that were recorded while vendoring, since CDNs
+	 * such as esm.sh point to the declarations of a module using this header rather than a comment inside the file.
+	 * @param {import("./src/denoCache.js").VendoredFile[]} vendorFiles
+	 */
+	function getTypesHeaderDtsFiles(vendorFiles) {
+		/** @type {import("./src/modifyVendoredFiles.js").CollectedDtsFile[]} */
+		const collectedDtsFiles = [];
+		/** @type {Set<string>} */
+		const collectedPaths = new Set();
+		for (const { url, path, typesUrl } of vendorFiles) {
+			if (!typesUrl || !/\.[mc]?jsx?$/.test(path)) continue;
+			typesHeaders.set(url, typesUrl);
+			// Redirected files are listed for both urls, but their types only have to be fetched once.
+			if (collectedPaths.has(path)) continue;
+			collectedPaths.add(path);
+			logger.debug(`${url} has its types at ${typesUrl}`);
+			collectedDtsFiles.push({
+				denoTypesUrl: typesUrl,
+				vendorFilePath: path,
+				moduleSpecifier: null,
 			});
-			await Deno.writeTextFile(dtsDestinationPath, text);
-		})();
-		dtsFetchPromises.push(promise);
+		}
+		return collectedDtsFiles;
+	}
+
+	/**
+	 * Fetches the .d.ts files from @deno-types and @ts-types comments, reference directives and headers, and places
+	 * them next to the vendored files.
+	 * @param {import("./src/modifyVendoredFiles.js").CollectedDtsFile[]} collectedDtsFiles
+	 */
+	async function fetchCollectedDtsFiles(collectedDtsFiles) {
+		if (collectedDtsFiles.length == 0) return;
+		logger.debug("Fetching .d.ts files for vendored files.");
+		const dtsFetchPromises = [];
+		// We'll use an empty import map for resolving the urls in @deno-types comments.
+		// Otherwise the urls end up resolving to the local file system since the types url is
+		// likely the same as the .js file.
+		const emptyImportMap = createEmptyImportMap();
+		/** @type {Map<string, string>} */
+		const vendoredFileUrls = new Map();
+		for (const [url, path] of allVendoredFiles) {
+			vendoredFileUrls.set(path, url);
+		}
+		for (const { denoTypesUrl, vendorFilePath, moduleSpecifier } of collectedDtsFiles) {
+			const promise = (async () => {
+				const baseUrl = new URL(toFileUrl(vendorFilePath));
+				const remoteUrl = vendoredFileUrls.get(vendorFilePath);
+				let dtsDestination;
+				let typesUrl;
+				try {
+					if (moduleSpecifier == null) {
+						// Types of the file itself are relative to its remote url.
+						if (!remoteUrl) return;
+						typesUrl = new URL(denoTypesUrl, remoteUrl);
+						dtsDestination = baseUrl;
+					} else {
+						const resolvedDenoTypesUrl = resolveModuleSpecifier(emptyImportMap, baseUrl, denoTypesUrl);
+						if (resolvedDenoTypesUrl && resolvedDenoTypesUrl.protocol === "file:") {
+							// The types url is already pointing to a local file, so we don't need to fetch it.
+							return;
+						}
+						typesUrl = new URL(denoTypesUrl);
+						// Relative imports are resolved against the remote url, since that is what vendored files are keyed by.
+						dtsDestination = resolveModuleSpecifierAll(
+							remoteUrl ? new URL(remoteUrl) : baseUrl,
+							moduleSpecifier,
+						);
+					}
+					if (!dtsDestination) {
+						throw new Error(
+							`"${moduleSpecifier}" was not vendored, so there is no place to put its types.`,
+						);
+					}
+					const parsedDestination = parse(fromFileUrl(dtsDestination));
+					const dtsDestinationPath = format({
+						dir: parsedDestination.dir,
+						name: parsedDestination.name,
+						root: parsedDestination.root,
+						ext: ".d.ts",
+					});
+					// Types that were vendored as part of the module might already be in the right place.
+					if (allVendoredFiles.get(typesUrl.href) == dtsDestinationPath) return;
+					logger.debug(`Fetching ${typesUrl.href}`);
+					const response = await fetcher(typesUrl);
+					if (!response.ok) {
+						await response.body?.cancel();
+						throw new Error(`The server responded with status code ${response.status}.`);
+					}
+					const bytes = new Uint8Array(await response.arrayBuffer());
+					await verifyRemoteIntegrity(typesUrl.href, response.url || typesUrl.href, bytes);
+					await Deno.writeFile(dtsDestinationPath, bytes);
+				} catch (e) {
+					reportFailedTypesFetch(typesUrl?.href || denoTypesUrl, remoteUrl || vendorFilePath, e);
+				}
+			})();
+			dtsFetchPromises.push(promise);
+		}
+		await Promise.all(dtsFetchPromises);
+	}
+
+	// If we already vendored a specifier in a previous run, there's no need
+	// to vendor it again. This should speed things up significantly when there
+	// are a lot of remote imports.
+	const newSpecifiers = Array.from(mergedRemoteImports.keys()).filter((s) => !cachedImportSpecifiers.has(s));
+	/**
+	 * Maps the specifiers that were processed during this run to the amount of milliseconds it took.
+	 * @type {Map<string, number>}
+	 */
+	const specifierDurations = new Map();
+	if (newSpecifiers.length == 0) {
+		logger.info("No imports have changed since the last run");
+	} else {
+		logger.info("Vendoring collected import urls.");
+		/** @type {Set<string>} */
+		const startedSpecifiers = new Set();
+		// The dependencies of jsr packages are added to the queue, since they aren't imported by the user directly.
+		await processQueue(newSpecifiers, maxConcurrency, async (resolvedSpecifier, addItem) => {
+			if (cachedImportSpecifiers.has(resolvedSpecifier) || startedSpecifiers.has(resolvedSpecifier)) return;
+			startedSpecifiers.add(resolvedSpecifier);
+			const startTime = performance.now();
+			emitEvent({ type: "vendorStart", specifier: resolvedSpecifier });
+			const importDatas = mergedRemoteImports.get(resolvedSpecifier) || [];
+			/** @type {string[]} */
+			let failedUrls = [];
+			try {
+				if (resolvedSpecifier.startsWith("npm:")) {
+					await npmTypesFetcher.fetchNpmTypes(resolvedSpecifier);
+				} else if (resolvedSpecifier.startsWith("jsr:")) {
+					const dependencySpecifiers = await jsrTypesFetcher.fetchJsrTypes(resolvedSpecifier);
+					for (const specifier of dependencySpecifiers) {
+						addItem(new URL(specifier).href);
+					}
+				} else if (resolvedSpecifier.startsWith("node:")) {
+					// Types for built-in modules come from @types/node, which is downloaded below.
+				} else if (getNonScriptModuleType(new URL(resolvedSpecifier), getAttributeType(importDatas))) {
+					await vendorNonScriptModule(resolvedSpecifier, importDatas);
+				} else {
+					failedUrls = await vendorRemoteImport(resolvedSpecifier, importDatas);
+				}
+			} catch (e) {
+				emitEvent({ type: "vendorError", specifier: resolvedSpecifier, error: e });
+				throw e;
+			}
+			const duration = Math.round(performance.now() - startTime);
+			specifierDurations.set(resolvedSpecifier, duration);
+			emitEvent({ type: "vendorEnd", specifier: resolvedSpecifier, duration, failedUrls });
+			// Modules with missing or mismatching files are vendored again on the next run.
+			if (missingFromDenoCache.size > 0 || lockfileVerifier.hasIntegrityMismatches()) return;
+			await markSpecifierDone(resolvedSpecifier);
+		}).catch(rethrowIfNotMissingFromDenoCache);
+
+		// Modules often share files, so declarations are emitted once for all of them rather than per module.
+		if (declarationEmitPaths.length > 0) {
+			const replacedPaths = await replaceWithDeclarations(declarationEmitPaths, logger);
+			/** @type {Object.<string, string>} */
+			const vendoredFiles = {};
+			for (const [url, path] of allVendoredFiles) {
+				const declarationPath = replacedPaths.get(path);
+				if (declarationPath) allVendoredFiles.set(url, declarationPath);
+				vendoredFiles[url] = relative(absoluteOutputDirPath, declarationPath || path);
+			}
+			// Modules are marked as done before their files are replaced, so the cached locations need to be updated.
+			await updateCacheData({ vendoredFiles });
+		}
+	}
+
+	const jsrDependencySpecifiers = getJsrDependencyClosure(
+		mergedRemoteImports.keys(),
+		Object.fromEntries(jsrDependencies),
+	);
+	const needsNodeTypes = usesNodeBuiltins(mergedRemoteImports.keys(), Object.fromEntries(jsrDependencies));
+	if (needsNodeTypes) {
+		const nodeTypes = await writeNodeTypesTypeRoot({
+			versionRange: nodeTypesVersion,
+			cacheData: (hasVendoredFileLocations && cache?.nodeTypes) || null,
+			outputDirPath: absoluteOutputDirPath,
+			typeRootsDirPath,
+			typescriptVersion: userTypeScriptVersion,
+			remoteImports,
+			getNpmPackage,
+			logger,
+		}).catch(rethrowIfNotMissingFromDenoCache);
+		await updateCacheData({ nodeTypes });
+	}
+
+	// Fetch the declaration files from @deno-types and @ts-types comments in the user's files.
+	const cachedTypesCommentEntries = cache?.typesCommentEntries || {};
+
+	/**
+	 * Vendors the declaration file of a types comment together with the files it imports or references. The vendored
+	 * files mirror the structure of their urls, so relative imports and reference directives between them keep working.
+	 * Returns the path of the declaration file, or `null` when it failed to fetch.
+	 * @param {string} typesUrl
+	 * @param {string} importerFilePath
+	 */
+	async function vendorTypesComment(typesUrl, importerFilePath) {
+		/** @type {{url: string, error: unknown}[]} */
+		const fetchErrors = [];
+		const vendorFiles = await vendorWithFetcher({
+			entryPoint: typesUrl,
+			outDir: resolve(absoluteOutputDirPath, "typesComments", sanitizeFileName(typesUrl)),
+			parsedImportMap: parsedTemporaryImportMap,
+			fetcher,
+			onFetchError: (error) => {
+				fetchErrors.push(error);
+			},
+			verifyIntegrity: verifyRemoteIntegrity,
+			includeReferencedFiles: true,
+		});
+		for (const { url, error } of fetchErrors) {
+			reportFailedTypesFetch(url, importerFilePath, error);
+		}
+		const entryFile = vendorFiles.find(({ url }) => url == typesUrl);
+		if (!entryFile) return null;
+		return entryFile.path;
+	}
+
+	/**
+	 * Maps the urls from types comments to the path of their vendored declaration file, or `null` when fetching failed.
+	 * @type {Map<string, string?>}
+	 */
+	const typesCommentFiles = new Map();
+	/**
+	 * Maps import specifiers to the declaration file from the types comment above them.
+	 * @type {Map<string, string>}
+	 */
+	const typesCommentPaths = new Map();
+	for (const remoteImport of remoteImports) {
+		const typesUrl = resolveTypesSpecifier(remoteImport, userImportMap);
+		if (!typesUrl) continue;
+		if (typesUrl.protocol == "file:") {
+			typesCommentPaths.set(remoteImport.importSpecifier, fromFileUrl(typesUrl));
+			continue;
+		}
+		if (typesUrl.protocol != "http:" && typesUrl.protocol != "https:") continue;
+
+		if (!typesCommentFiles.has(typesUrl.href)) {
+			const cachedEntry = cachedTypesCommentEntries[typesUrl.href];
+			if (cachedEntry) {
+				typesCommentFiles.set(typesUrl.href, resolve(absoluteOutputDirPath, cachedEntry));
+			} else {
+				logger.debug(`Fetching types for "${remoteImport.importSpecifier}" from ${typesUrl.href}`);
+				const filePath = await vendorTypesComment(typesUrl.href, remoteImport.importerFilePath);
+				typesCommentFiles.set(typesUrl.href, filePath);
+			}
+		}
+		const filePath = typesCommentFiles.get(typesUrl.href);
+		if (filePath) typesCommentPaths.set(remoteImport.importSpecifier, filePath);
+	}
+	/** @type {Object.<string, string>} */
+	const typesCommentEntries = {};
+	for (const [url, filePath] of typesCommentFiles) {
+		if (filePath) typesCommentEntries[url] = relative(absoluteOutputDirPath, filePath);
 	}
-	await Promise.allSettled(dtsFetchPromises);
+	await updateCacheData({ typesCommentEntries });
+	throwIfMissingFromDenoCache();
+	await lockfileVerifier.finish();
 
 	const tsconfigPath = join(absoluteOutputDirPath, "tsconfig.json");
 
@@ -683,27 +2020,57 @@ ${importmapMessage}
 		tsConfigPathsObject = existingTsConfig.compilerOptions?.paths || {};
 	}
 
+	// All the paths that we generated during the last run are created again below,
+	// removing them first ensures that specifiers which are no longer imported are removed as well.
+	for (const specifier of cache?.generatedPathSpecifiers || []) {
+		delete tsConfigPathsObject[specifier];
+	}
+	/** @type {Set<string>} */
+	const generatedPathSpecifiers = new Set(Object.keys(extraPaths));
+
 	/**
 	 * A list of paths that should be added to the generated tsconfig.json.
 	 * @type {[string, string][]}
 	 */
 	const tsConfigPaths = [];
 
-	if (needsAmbientModuleImportSpecifiers.length > 0) {
+	const ambientModuleSpecifiers = [
+		...needsAmbientModuleImportSpecifiers,
+		...getAmbientFallbackSpecifiers(ambientFallbackUrls, mergedRemoteImports),
+	];
+	if (ambientModuleSpecifiers.length > 0) {
 		logger.debug("Creating ambient modules for excluded urls");
-		const ambientModulesDirPath = resolve(typeRootsDirPath, "deno-tsc-helper-ambient-modules");
-		await Deno.mkdir(ambientModulesDirPath, { recursive: true });
-		const ambientModulesFilePath = resolve(ambientModulesDirPath, "index.d.ts");
-
-		let ambientModulesContent = "";
-		for (const specifier of needsAmbientModuleImportSpecifiers) {
-			ambientModulesContent += `declare module "${specifier}";\n`;
-		}
-
-		await Deno.writeTextFile(ambientModulesFilePath, ambientModulesContent);
+		const excludedTypesPathEntries = await writeAmbientModules({
+			typeRootsDirPath,
+			specifiers: ambientModuleSpecifiers,
+			typesPaths: excludedTypesPaths,
+		});
+		tsConfigPaths.push(...excludedTypesPathEntries);
 	}
 
 	for (const { importSpecifier, importerFilePath, resolvedSpecifier } of remoteImports) {
+		if (resolvedSpecifier.protocol == "npm:") {
+			const typesPath = npmTypesPaths.get(resolvedSpecifier.href);
+			if (typesPath) tsConfigPaths.push([importSpecifier, typesPath]);
+			continue;
+		}
+		if (resolvedSpecifier.protocol == "jsr:") {
+			const typesPath = jsrTypesPaths.get(resolvedSpecifier.href);
+			if (typesPath) tsConfigPaths.push([importSpecifier, typesPath]);
+			continue;
+		}
+		// Built-in modules are declared by the node types type root.
+		if (resolvedSpecifier.protocol == "node:") continue;
+		// JSON, text and Wasm modules point to the declaration file that was generated next to them.
+		const attributeType = getAttributeType(mergedRemoteImports.get(resolvedSpecifier.href) || []);
+		if (getNonScriptModuleType(resolvedSpecifier, attributeType)) {
+			const filePath = allVendoredFiles.get(resolvedSpecifier.href);
+			if (!filePath) continue;
+			const parsedPath = parse(filePath);
+			tsConfigPaths.push([importSpecifier, format({ dir: parsedPath.dir, name: parsedPath.name, ext: ".d.ts" })]);
+			continue;
+		}
+
 		const baseUrl = new URL(toFileUrl(importerFilePath));
 
 		const vendorResolvedSpecifier = resolveModuleSpecifierAll(
@@ -718,6 +2085,19 @@ ${importmapMessage}
 		tsConfigPaths.push([importSpecifier, pathname]);
 	}
 
+	// The specifiers that jsr packages import are not resolved relative to the importing file,
+	// so their paths can be added for every file.
+	for (const specifier of jsrDependencySpecifiers) {
+		const resolvedSpecifier = new URL(specifier).href;
+		const typesPath = npmTypesPaths.get(resolvedSpecifier) || jsrTypesPaths.get(resolvedSpecifier);
+		if (typesPath) tsConfigPaths.push([specifier, typesPath]);
+	}
+
+	// Types comments take precedence over the vendored module, since that's what Deno does as well.
+	for (const [specifier, path] of typesCommentPaths) {
+		tsConfigPaths.push([specifier, path]);
+	}
+
 	for (const [specifier, path] of fetchedExactTypeModulesPathMappings) {
 		tsConfigPaths.push([
 			specifier,
@@ -725,14 +2105,52 @@ ${importmapMessage}
 		]);
 	}
 
-	for (const [specifier, path] of npmImports) {
-		tsConfigPaths.push([specifier, path]);
+	// Import map entries that point to local files are not resolved by TypeScript, so we map them directly.
+	for (const { importSpecifier, resolvedFilePath } of localImports) {
+		if (isRelativeSpecifier(importSpecifier)) continue;
+		tsConfigPaths.push([importSpecifier, resolvedFilePath]);
+	}
+
+	/** @type {Object.<string, unknown>} */
+	const extraCompilerOptions = {};
+	const tsImportShimsDirPath = resolve(absoluteOutputDirPath, "tsImportShims");
+	const hasTsExtensionImports = localImports.some(({ importSpecifier }) => getTsExtension(importSpecifier) != null);
+	const useTsExtensionOptions = hasTsExtensionImports && supportsTsExtensionImports(userTypeScriptVersion);
+	// Shims are only needed for older TypeScript versions, creating them with an empty list removes old shims.
+	const shimCount = await createTsImportShims({
+		localImports: useTsExtensionOptions ? [] : localImports,
+		shimsDirPath: tsImportShimsDirPath,
+		cwd,
+		logger,
+	});
+	if (useTsExtensionOptions) {
+		extraCompilerOptions.allowImportingTsExtensions = true;
+		extraCompilerOptions.moduleResolution = "bundler";
+		extraCompilerOptions.module = "esnext";
+		// allowImportingTsExtensions can only be used when no JavaScript files are emitted.
+		extraCompilerOptions.noEmit = true;
+	} else if (shimCount > 0) {
+		extraCompilerOptions.rootDirs = [cwd, tsImportShimsDirPath];
+	}
+	// Local JSON imports are resolved by tsc itself, which requires resolveJsonModule.
+	const hasLocalJsonImports = localImports.some(({ attributeType, resolvedFilePath }) => {
+		return attributeType == "json" || resolvedFilePath.endsWith(".json");
+	});
+	if (hasLocalJsonImports) {
+		extraCompilerOptions.resolveJsonModule = true;
+		if (!extraCompilerOptions.moduleResolution) extraCompilerOptions.moduleResolution = "node";
+	}
+	// The dependencies of npm packages can only be found by walking up node_modules directories,
+	// which the classic module resolution, the default when module is set to esnext, doesn't do.
+	if (!extraCompilerOptions.moduleResolution && npmPackageDirs.size > 0) {
+		extraCompilerOptions.moduleResolution = "node";
 	}
 
 	// Add tsconfig.json
 	logger.debug("Creating tsconfig.json");
 	for (const [url, path] of tsConfigPaths) {
 		tsConfigPathsObject[url] = [path];
+		generatedPathSpecifiers.add(url);
 	}
 	for (const [url, paths] of Object.entries(extraPaths)) {
 		tsConfigPathsObject[url] = paths;
@@ -742,20 +2160,54 @@ ${importmapMessage}
 			compilerOptions: {
 				typeRoots: [typeRootsDirPath],
 				paths: tsConfigPathsObject,
+				...extraCompilerOptions,
 			},
 		},
 		null,
 		2,
 	);
 	await Deno.writeTextFile(tsconfigPath, tsconfigContent);
+	emitEvent({ type: "tsconfigWritten", path: tsconfigPath });
+	await updateCacheData({
+		generatedPathSpecifiers: Array.from(generatedPathSpecifiers),
+	});
 
-	// Update the cache file so that files aren't vendored in future runs.
-	{
-		const vendoredImports = new Set(remoteImports.map((i) => i.resolvedSpecifier.href));
-		await updateCacheData({
-			vendoredImports: Array.from(vendoredImports),
+	addReportSpecifiers(report, {
+		remoteImports: mergedRemoteImports,
+		dependencySpecifiers: Array.from(jsrDependencySpecifiers, (specifier) => new URL(specifier).href),
+		ambientModuleSpecifiers,
+		durations: specifierDurations,
+		locations: {
+			typesCommentPaths,
+			npmTypesPaths,
+			jsrTypesPaths,
+			vendoredFiles: allVendoredFiles,
+			typesHeaders,
+			ambientModuleTypesPaths: excludedTypesPaths,
+		},
+	});
+
+	if (prune) {
+		const { newCacheData: prunedCacheData } = await pruneOutputDir({
+			absoluteOutputDirPath,
+			cache: newCacheData,
+			resolvedSpecifiers: new Set(mergedRemoteImports.keys()),
+			exactTypeSpecifiers: Object.keys(exactTypeModules),
+			excludedTypesUrls: excludedTypes.map(({ url }) => url),
+			typesCommentUrls: Array.from(typesCommentFiles.keys()),
+			extraTypeRootNames: Object.keys(extraTypeRoots),
+			hasAmbientModules: ambientModuleSpecifiers.length > 0,
+			needsNodeTypes,
+			logger,
 		});
+		await updateCacheData(prunedCacheData);
 	}
 
 	logger.info("Done creating types for remote imports.");
 }
+
+if (import.meta.main) {
+	const { runCli } = await import("./src/cli.js");
+	const exitCode = await runCli(Deno.args);
+	if (exitCode != 0) Deno.exit(exitCode);
+}
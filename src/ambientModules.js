@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Utilities for declaring ambient modules for imports that don't have a vendored file, such as
+ * excluded urls and urls that failed to vendor while `onVendorError` is set to "ambient".
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { sanitizeFileName } from "./common.js";
+import { fileHasDefaultExport } from "./parseFileAst.js";
+
+/**
+ * The directory inside the @types directory that contains the ambient modules for excluded urls.
+ */
+export const ambientModulesTypeRootName = "deno-tsc-helper-ambient-modules";
+
+/**
+ * The prefix of the `paths` entries that the ambient modules of excluded urls use to re-export their types.
+ */
+const excludedTypesSpecifierPrefix = "deno-tsc-helper-excluded-types/";
+
+/**
+ * Returns the urls that were replaced with ambient modules because they failed to vendor, for the resolved
+ * specifiers that are still imported.
+ * @param {Object.<string, string[]>} ambientFallbackUrls Maps resolved specifiers to the urls that failed to vendor,
+ * as stored in the cache file.
+ * @param {Iterable<string>} resolvedSpecifiers
+ */
+export function getAmbientFallbackUrls(ambientFallbackUrls, resolvedSpecifiers) {
+	/** @type {Set<string>} */
+	const urls = new Set();
+	for (const specifier of resolvedSpecifiers) {
+		for (const url of ambientFallbackUrls[specifier] || []) {
+			urls.add(url);
+		}
+	}
+	return Array.from(urls);
+}
+
+/**
+ * Returns the specifiers that need an ambient module because they failed to vendor. When a module failed to vendor
+ * entirely, there is no vendored file to point to, so the way it is imported is declared as well.
+ * @param {Object.<string, string[]>} ambientFallbackUrls
+ * @param {Map<string, import("./collectImports.js").RemoteImportData[]>} remoteImports The remote imports mapped
+ * by their resolved specifier.
+ */
+export function getAmbientFallbackSpecifiers(ambientFallbackUrls, remoteImports) {
+	const specifiers = new Set(getAmbientFallbackUrls(ambientFallbackUrls, remoteImports.keys()));
+	for (const [resolvedSpecifier, urls] of Object.entries(ambientFallbackUrls)) {
+		if (!urls.includes(resolvedSpecifier)) continue;
+		for (const { importSpecifier } of remoteImports.get(resolvedSpecifier) || []) {
+			specifiers.add(importSpecifier);
+		}
+	}
+	return Array.from(specifiers);
+}
+
+/**
+ * Writes a type root that declares an ambient module for each specifier. Specifiers that have a declaration file
+ * get a module that re-exports it, the others are declared without types.
+ * Returns the `paths` entries that need to be added to the tsconfig.json for the re-exported declaration files.
+ * @param {Object} options
+ * @param {string} options.typeRootsDirPath The absolute path of the @types directory.
+ * @param {string[]} options.specifiers
+ * @param {Map<string, string>} options.typesPaths Maps specifiers to the absolute path of their declaration file.
+ * @returns {Promise<[string, string][]>}
+ */
+export async function writeAmbientModules({ typeRootsDirPath, specifiers, typesPaths }) {
+	const ambientModulesDirPath = path.resolve(typeRootsDirPath, ambientModulesTypeRootName);
+	await Deno.mkdir(ambientModulesDirPath, { recursive: true });
+	const ambientModulesFilePath = path.resolve(ambientModulesDirPath, "index.d.ts");
+
+	/** @type {[string, string][]} */
+	const tsConfigPaths = [];
+	let ambientModulesContent = "";
+	for (const specifier of specifiers) {
+		const typesPath = typesPaths.get(specifier);
+		if (!typesPath) {
+			ambientModulesContent += `declare module "${specifier}";\n`;
+			continue;
+		}
+		// Ambient modules can't re-export files using a relative path, so the file gets a `paths` entry instead.
+		const typesSpecifier = excludedTypesSpecifierPrefix + sanitizeFileName(specifier);
+		tsConfigPaths.push([typesSpecifier, typesPath]);
+		ambientModulesContent += `declare module "${specifier}" {\n`;
+		ambientModulesContent += `\texport * from "${typesSpecifier}";\n`;
+		if (await fileHasDefaultExport(typesPath)) {
+			ambientModulesContent += `\texport { default } from "${typesSpecifier}";\n`;
+		}
+		ambientModulesContent += "}\n";
+	}
+
+	await Deno.writeTextFile(ambientModulesFilePath, ambientModulesContent);
+	return tsConfigPaths;
+}
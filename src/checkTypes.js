@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Type checks a project with the TypeScript compiler API, the same way `tsc --noEmit -p` would.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+
+/**
+ * The TypeScript version that is used when the version of the project is unknown.
+ */
+const defaultTypeScriptVersion = "5";
+
+/**
+ * @typedef TypeDiagnostic
+ * @property {string?} file The absolute path of the file, or `null` for diagnostics that are not about a
+ * specific file, such as errors in the compiler options.
+ * @property {number?} line The line in the file, starting at 1.
+ * @property {number?} column The column in the line, starting at 1.
+ * @property {number} code The TypeScript error code, such as 2322.
+ * @property {"error" | "warning" | "suggestion" | "message"} category
+ * @property {string} message
+ */
+
+/**
+ * Maps the categories of the compiler API to the names used in `TypeDiagnostic`.
+ * @type {("error" | "warning" | "suggestion" | "message")[]}
+ */
+const categoryNames = ["warning", "error", "suggestion", "message"];
+
+/**
+ * Type checks a project using the provided version of TypeScript and returns the diagnostics.
+ * @param {Object} options
+ * @param {string} options.configPath The absolute path of the tsconfig.json or jsconfig.json of the project.
+ * @param {string?} options.typescriptVersion The version of the npm:typescript package to check with,
+ * a recent version is used when this is `null`.
+ * @returns {Promise<TypeDiagnostic[]>}
+ */
+export async function checkProject({ configPath, typescriptVersion }) {
+	const specifier = `npm:typescript@${typescriptVersion || defaultTypeScriptVersion}`;
+	/** @type {typeof import("npm:typescript@4.7.4")} */
+	const ts = (await import(specifier)).default;
+
+	const configFile = ts.readConfigFile(configPath, ts.sys.readFile);
+	if (configFile.error) return [toTypeDiagnostic(ts, configFile.error)];
+	const parsedConfig = ts.parseJsonConfigFileContent(configFile.config, ts.sys, path.dirname(configPath));
+	const program = ts.createProgram({
+		rootNames: parsedConfig.fileNames,
+		options: { ...parsedConfig.options, noEmit: true },
+		projectReferences: parsedConfig.projectReferences,
+	});
+	const diagnostics = [...parsedConfig.errors, ...ts.getPreEmitDiagnostics(program)];
+	return diagnostics.map((diagnostic) => toTypeDiagnostic(ts, diagnostic));
+}
+
+/**
+ * @param {typeof import("npm:typescript@4.7.4")} ts
+ * @param {import("npm:typescript@4.7.4").Diagnostic} diagnostic
+ * @returns {TypeDiagnostic}
+ */
+function toTypeDiagnostic(ts, diagnostic) {
+	let file = null;
+	let line = null;
+	let column = null;
+	if (diagnostic.file) {
+		file = path.resolve(diagnostic.file.fileName);
+		if (diagnostic.start != undefined) {
+			const position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+			line = position.line + 1;
+			column = position.character + 1;
+		}
+	}
+	return {
+		file,
+		line,
+		column,
+		code: diagnostic.code,
+		category: categoryNames[diagnostic.category],
+		message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+	};
+}
+
+/**
+ * Formats a diagnostic the same way tsc does, e.g. `src/main.js(3,7): error TS2322: Type 'string' is not assignable
+ * to type 'number'.`
+ * @param {TypeDiagnostic} diagnostic
+ * @param {string} cwd File paths are printed relative to this directory.
+ */
+export function formatDiagnostic({ file, line, column, code, category, message }, cwd) {
+	let location = "";
+	if (file) {
+		location = path.relative(cwd, file);
+		if (line != null && column != null) location += `(${line},${column})`;
+		location += ": ";
+	}
+	return `${location}${category} TS${code}: ${message}`;
+}
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Contains the command line interface that is used when mod.js is run as the main module.
+ */
+
+import { parse } from "https://deno.land/std@0.167.0/flags/mod.ts";
+import { resolve } from "https://deno.land/std@0.145.0/path/mod.ts";
+import { checkTypes, createCacheHashFile, generateTypes, planTypes, pruneTypes } from "../mod.js";
+import { formatDiagnostic } from "./checkTypes.js";
+import { fillOptionDefaults } from "./common.js";
+import { createLogger } from "./logging.js";
+import { loadDenoConfig } from "./denoConfig.js";
+
+const usage = `Usage: deno run -A mod.js <command> [options]
+
+Commands:
+  generate                       Generate types and a tsconfig.json for all remote imports.
+  check                          Generate types and type check the project, exits with 1 when there are errors.
+  cache-hash                     Create a file that can be used as cache key in CI, see \`createCacheHashFile\`.
+  prune                          Remove files from the output directory that are no longer used.
+  plan                           Print what \`generate\` would do as JSON, without downloading or writing anything.
+  clean                          Remove the output directory.
+
+Options:
+  --include <path>               A local path to parse the imports from, can be provided multiple times.
+  --entry-point <path>           A local file from which local imports are followed, can be provided multiple times.
+  --exclude <path>               A local path to exclude, can be provided multiple times.
+  --exclude-url <url>            A url to ignore when fetching types, can be provided multiple times.
+  --exclude-url-types <url=path> Ignore a url and use a declaration file as its types, can be provided multiple times.
+  --exclude-url-emit <url>       Ignore a url and emit declarations from its source, can be provided multiple times.
+  --on-vendor-error <mode>       What to do when files of a remote module fail to download: ambient, warn or throw.
+  --import-map <path>            A path to the import map to use.
+  --config <path>                The path to a deno.json or deno.jsonc file, defaults to the one in the cwd.
+  --no-config                    Don't load options, the import map and excludes from a Deno config file.
+  --extra-path <specifier=path>  An extra path to add to the generated tsconfig, can be provided multiple times.
+  --extra-type-root <name=url>   An extra type root to fetch, can be provided multiple times.
+  --exact-type-module <specifier=url>
+                                 Maps a specifier directly to a types file, can be provided multiple times.
+  --output-dir <path>            The directory to output the generated files to.
+  --cache-hash-file <path>       The path of the cache hash file, relative to the output directory.
+  --pre-collected-imports-file <path>
+                                 The path of the pre-collected imports file, relative to the output directory.
+  --unstable                     Include unstable Deno apis in the generated types.
+  --npm-registry <url>           The registry to download npm packages from.
+  --jsr-registry <url>           The registry to download jsr packages from.
+  --node-types-version <version> The version of @types/node to use for node: imports.
+  --typescript-version <version> The version of TypeScript used to type check the project.
+  --concurrency <number>         The maximum amount of modules and requests that are processed in parallel.
+  --timeout <ms>                 The amount of milliseconds after which a request is aborted, 0 disables this.
+  --retries <number>             The amount of times a failed request is retried.
+  --prefer-deno-cache            Read remote modules and npm packages from the Deno cache when they are cached.
+  --offline                      Only read from the Deno cache, fails when something isn't cached.
+  --deno-dir <path>              The Deno cache directory to read from, defaults to DENO_DIR.
+  --lock <mode>                  What to do when a file doesn't match the lockfile: fail, warn or off, defaults to off.
+  --lock-file <path>             The path to the deno.lock file, defaults to the one from the Deno config.
+  --write-lock                   Add the hashes of remote modules that aren't in the lockfile yet.
+  --emit-declarations-only       Replace the files of vendored modules with emitted declaration files.
+  --project <path>               The tsconfig.json or jsconfig.json to type check with the check command.
+  --report-file <path>           Write a JSON report of the run to this file, relative to the output directory.
+  --no-prune                     Don't remove unused files after generating types.
+  --log-level <level>            One of DEBUG, INFO, WARNING, ERROR or CRITICAL.
+  -h, --help                     Show this message.
+`;
+
+const commands = ["generate", "check", "cache-hash", "prune", "plan", "clean"];
+
+/**
+ * Parses a list of `key=value` flags into an object.
+ * @param {string} flagName
+ * @param {string[]} values
+ * @param {"first" | "last"} splitAt Which `=` separates the key from the value. Urls can contain a `=` in their
+ * query, so flags with a url as value should split at the first one, and flags with a url as key at the last one.
+ */
+function parseKeyValueFlags(flagName, values, splitAt) {
+	/** @type {[string, string][]} */
+	const entries = [];
+	for (const value of values) {
+		const index = splitAt == "first" ? value.indexOf("=") : value.lastIndexOf("=");
+		if (index <= 0) {
+			throw new Error(
+				`Invalid value for --${flagName}: "${value}", expected a value in the form of "key=value".`,
+			);
+		}
+		entries.push([value.slice(0, index), value.slice(index + 1)]);
+	}
+	return entries;
+}
+
+/**
+ * Parses the value of a flag that expects a non-negative integer.
+ * @param {string} flagName
+ * @param {string} value
+ */
+function parseIntegerFlag(flagName, value) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < 0) {
+		throw new Error(`Invalid value for --${flagName}: "${value}", expected a non-negative integer.`);
+	}
+	return number;
+}
+
+/**
+ * Converts command line arguments into a command and the options that should be passed to it.
+ * Only options that were provided on the command line are set, so that defaults still apply for the others.
+ * @param {string[]} args
+ */
+export function parseCliArgs(args) {
+	const parsed = parse(args, {
+		string: [
+			"entry-point",
+			"include",
+			"exclude",
+			"exclude-url",
+			"exclude-url-types",
+			"exclude-url-emit",
+			"on-vendor-error",
+			"import-map",
+			"config",
+			"extra-path",
+			"extra-type-root",
+			"exact-type-module",
+			"output-dir",
+			"cache-hash-file",
+			"pre-collected-imports-file",
+			"npm-registry",
+			"jsr-registry",
+			"node-types-version",
+			"typescript-version",
+			"concurrency",
+			"timeout",
+			"retries",
+			"deno-dir",
+			"lock",
+			"lock-file",
+			"report-file",
+			"project",
+			"log-level",
+		],
+		boolean: ["unstable", "prune", "prefer-deno-cache", "offline", "write-lock", "emit-declarations-only", "help"],
+		collect: [
+			"entry-point",
+			"include",
+			"exclude",
+			"exclude-url",
+			"exclude-url-types",
+			"exclude-url-emit",
+			"extra-path",
+			"extra-type-root",
+			"exact-type-module",
+		],
+		alias: { h: "help" },
+		negatable: ["config", "prune"],
+		default: { prune: true },
+	});
+
+	/** @type {import("../mod.js").GenerateTypesOptions} */
+	const options = {};
+
+	/**
+	 * @param {string} name
+	 * @returns {string[]}
+	 */
+	function getCollected(name) {
+		const value = parsed[name];
+		if (!value) return [];
+		if (Array.isArray(value)) return value.map(String);
+		return [String(value)];
+	}
+
+	const entryPoints = getCollected("entry-point");
+	if (entryPoints.length > 0) options.entryPoints = entryPoints;
+	const include = getCollected("include");
+	if (include.length > 0) options.include = include;
+	const exclude = getCollected("exclude");
+	if (exclude.length > 0) options.exclude = exclude;
+	/** @type {(string | import("../mod.js").ExcludeUrlEntry)[]} */
+	const excludeUrls = getCollected("exclude-url");
+	for (const [url, types] of parseKeyValueFlags("exclude-url-types", getCollected("exclude-url-types"), "last")) {
+		excludeUrls.push({ url, types });
+	}
+	for (const url of getCollected("exclude-url-emit")) {
+		excludeUrls.push({ url, emitDeclarations: true });
+	}
+	if (excludeUrls.length > 0) options.excludeUrls = excludeUrls;
+	if (parsed["on-vendor-error"]) {
+		const onVendorError = parsed["on-vendor-error"];
+		if (onVendorError != "ambient" && onVendorError != "warn" && onVendorError != "throw") {
+			throw new Error(
+				`Invalid value for --on-vendor-error: "${onVendorError}", expected ambient, warn or throw.`,
+			);
+		}
+		options.onVendorError = onVendorError;
+	}
+
+	const extraPaths = parseKeyValueFlags("extra-path", getCollected("extra-path"), "last");
+	if (extraPaths.length > 0) {
+		/** @type {Object.<string, string[]>} */
+		const extraPathsObject = {};
+		for (const [specifier, path] of extraPaths) {
+			if (!extraPathsObject[specifier]) extraPathsObject[specifier] = [];
+			extraPathsObject[specifier].push(path);
+		}
+		options.extraPaths = extraPathsObject;
+	}
+	const extraTypeRoots = parseKeyValueFlags("extra-type-root", getCollected("extra-type-root"), "first");
+	if (extraTypeRoots.length > 0) options.extraTypeRoots = Object.fromEntries(extraTypeRoots);
+	const exactTypeModules = parseKeyValueFlags("exact-type-module", getCollected("exact-type-module"), "first");
+	if (exactTypeModules.length > 0) options.exactTypeModules = Object.fromEntries(exactTypeModules);
+
+	if (parsed["import-map"]) options.importMap = parsed["import-map"];
+	if (parsed.config === false) {
+		options.denoConfig = false;
+	} else if (parsed.config) {
+		options.denoConfig = parsed.config;
+	}
+	if (parsed["output-dir"]) options.outputDir = parsed["output-dir"];
+	if (parsed["cache-hash-file"]) options.cacheHashFile = parsed["cache-hash-file"];
+	if (parsed["pre-collected-imports-file"]) options.preCollectedImportsFile = parsed["pre-collected-imports-file"];
+	if (parsed.unstable) options.unstable = true;
+	if (parsed["npm-registry"]) options.npmRegistry = parsed["npm-registry"];
+	if (parsed["jsr-registry"]) options.jsrRegistry = parsed["jsr-registry"];
+	if (parsed["node-types-version"]) options.nodeTypesVersion = parsed["node-types-version"];
+	if (parsed["typescript-version"]) options.typescriptVersion = parsed["typescript-version"];
+	if (parsed.concurrency) options.concurrency = parseIntegerFlag("concurrency", parsed.concurrency);
+	if (parsed.timeout) options.timeout = parseIntegerFlag("timeout", parsed.timeout);
+	if (parsed.retries) options.retries = parseIntegerFlag("retries", parsed.retries);
+	if (parsed["prefer-deno-cache"]) options.preferDenoCache = true;
+	if (parsed.offline) options.offline = true;
+	if (parsed["deno-dir"]) options.denoDir = parsed["deno-dir"];
+	if (parsed.lock) {
+		if (parsed.lock == "fail" || parsed.lock == "warn") {
+			options.lock = parsed.lock;
+		} else if (parsed.lock == "off") {
+			options.lock = false;
+		} else {
+			throw new Error(`Invalid value for --lock: "${parsed.lock}", expected fail, warn or off.`);
+		}
+	}
+	if (parsed["lock-file"]) options.lockFile = parsed["lock-file"];
+	if (parsed["write-lock"]) options.writeLock = true;
+	if (parsed["report-file"]) options.reportFile = parsed["report-file"];
+	if (parsed["emit-declarations-only"]) options.emitDeclarationsOnly = true;
+	if (parsed.project) options.project = parsed.project;
+	if (!parsed.prune) options.prune = false;
+	if (parsed["log-level"]) {
+		const logLevel = parsed["log-level"].toUpperCase();
+		const levelNames = ["NOTSET", "DEBUG", "INFO", "WARNING", "ERROR", "CRITICAL"];
+		if (!levelNames.includes(logLevel)) {
+			throw new Error(`Invalid value for --log-level: "${parsed["log-level"]}".`);
+		}
+		options.logLevel = /** @type {import("https://deno.land/std@0.159.0/log/mod.ts").LevelName} */ (logLevel);
+	}
+
+	const command = parsed._.length > 0 ? String(parsed._[0]) : null;
+
+	return {
+		command,
+		help: parsed.help,
+		options,
+	};
+}
+
+/**
+ * Runs the command line interface with the provided arguments.
+ * @param {string[]} args
+ * @returns {Promise<number>} The exit code.
+ */
+export async function runCli(args) {
+	let parsed;
+	try {
+		parsed = parseCliArgs(args);
+	} catch (e) {
+		console.error(e instanceof Error ? e.message : e);
+		console.error(usage);
+		return 1;
+	}
+	const { command, help, options } = parsed;
+
+	if (help) {
+		console.log(usage);
+		return 0;
+	}
+	if (!command || !commands.includes(command)) {
+		if (command) console.error(`Unknown command "${command}".`);
+		console.error(usage);
+		return 1;
+	}
+
+	try {
+		if (command == "generate") {
+			await generateTypes(options);
+		} else if (command == "check") {
+			const { diagnostics, errorCount } = await checkTypes(options);
+			const cwd = Deno.cwd();
+			for (const diagnostic of diagnostics) {
+				console.log(formatDiagnostic(diagnostic, cwd));
+			}
+			if (errorCount > 0) {
+				console.error(`Found ${errorCount} error${errorCount == 1 ? "" : "s"}.`);
+				return 1;
+			}
+		} else if (command == "cache-hash") {
+			await createCacheHashFile(options);
+		} else if (command == "prune") {
+			await pruneTypes(options);
+		} else if (command == "plan") {
+			// Info messages are logged to stdout, which would make the output invalid JSON.
+			const plan = await planTypes({ logLevel: "WARNING", ...options });
+			console.log(JSON.stringify(plan, null, "\t"));
+		} else if (command == "clean") {
+			const cwd = Deno.cwd();
+			const denoConfig = await loadDenoConfig(options.denoConfig, cwd);
+			const { outputDir, logLevel } = fillOptionDefaults(options, denoConfig);
+			const logger = createLogger(logLevel);
+			const absoluteOutputDirPath = resolve(cwd, outputDir);
+			try {
+				await Deno.remove(absoluteOutputDirPath, { recursive: true });
+				logger.info(`Removed ${absoluteOutputDirPath}`);
+			} catch (e) {
+				if (!(e instanceof Deno.errors.NotFound)) throw e;
+				logger.info(`${absoluteOutputDirPath} does not exist, nothing to clean`);
+			}
+		}
+	} catch (e) {
+		console.error(e instanceof Error ? e.message : e);
+		return 1;
+	}
+	return 0;
+}
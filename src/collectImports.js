@@ -2,15 +2,24 @@
  * @fileoverview Some utility functions for collecting import specifiers from a set of files.
  */
 
-import { getIncludeExcludeFiles } from "./common.js";
-import { parseFilePathAst } from "./parseFileAst.js";
+import { createFileExcludeMatcher, getIncludeExcludeFiles } from "./common.js";
+import { getImportAttributeType, getTypesComment, parseFilePathAst } from "./parseFileAst.js";
 import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
 import { resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/mod.js";
 
+/**
+ * @typedef FileImport
+ * @property {string} importSpecifier The import specifier string used in the import statement.
+ * @property {string?} typesSpecifier The specifier from a `@deno-types` or `@ts-types` comment above the import.
+ * @property {string?} attributeType The `type` from the import attributes, such as `"json"`.
+ */
+
 /**
  * @typedef ImportData
  * @property {string} importerFilePath The absolute path to the file that imports the module.
  * @property {string} importSpecifier The import specifier string used in the import statement.
+ * @property {string?} typesSpecifier The specifier from a `@deno-types` or `@ts-types` comment above the import.
+ * @property {string?} attributeType The `type` from the import attributes, such as `"json"`.
  */
 
 /**
@@ -18,18 +27,39 @@ import { resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/m
  * @property {string} importerFilePath The absolute path to the file that imports the module.
  * @property {string} importSpecifier The import specifier string used in the import statement.
  * @property {URL} resolvedSpecifier The import specifier resolved against the user import map.
+ * @property {string} [typesSpecifier] The specifier from a `@deno-types` or `@ts-types` comment above the import,
+ * not yet resolved against the importer or the import map.
+ * @property {string} [attributeType] The `type` from the import attributes, such as `"json"`.
+ */
+
+/**
+ * @typedef LocalImportData
+ * @property {string} importerFilePath The absolute path to the file that imports the module.
+ * @property {string} importSpecifier The import specifier string used in the import statement.
+ * @property {string} resolvedFilePath The absolute path of the imported file.
+ * @property {string} [attributeType] The `type` from the import attributes, such as `"json"`.
  */
 
 /**
  * @typedef PreCollectedImportsData
  * @property {RemoteImportData[]} remoteImports
+ * @property {LocalImportData[]} [localImports] Imports that resolve to local files. This is missing from
+ * pre-collected imports files that were created by older versions.
  * @property {string[]} needsAmbientModuleImportSpecifiers
+ * @property {number} [fileCount] The amount of files that were parsed. This is missing from pre-collected imports
+ * files that were created by older versions.
+ */
+
+/**
+ * The extensions of files that are parsed when collecting imports.
  */
+export const collectedFileExtensions = ["js", "ts", "d.ts"];
 
 /**
  * Traverses a directory and collects import specifiers from all .js, .ts, and .d.ts files.
  * @param {Object} options
  * @param {string} options.baseDir The path to start searching for files.
+ * @param {string[]} [options.entryPoints] List of files from which local imports are followed recursively.
  * @param {string[]} options.include List of paths to include.
  * @param {string[]} options.exclude List of paths to exclude.
  * @param {string[]} options.excludeUrls List of urls to exclude from the remoteImports result.
@@ -38,6 +68,7 @@ import { resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/m
  */
 export async function collectImports({
 	baseDir,
+	entryPoints = [],
 	include,
 	exclude,
 	excludeUrls,
@@ -51,28 +82,86 @@ export async function collectImports({
 		baseDir,
 		include,
 		exclude,
-		extensions: ["js", "ts", "d.ts"],
+		extensions: collectedFileExtensions,
 	});
 
+	const isFileExcluded = createFileExcludeMatcher(baseDir, exclude);
+
 	/**
-	 * List of imports found in the user files.
-	 * @type {ImportData[]}
+	 * The imports of every parsed file, mapped by absolute file path.
+	 * @type {Map<string, FileImport[]>}
 	 */
-	const allImports = [];
-	for (const userFile of userFiles) {
-		const sourceFile = await parseFilePathAst(userFile);
+	const fileImports = new Map();
+
+	/**
+	 * @param {string} filePath
+	 */
+	async function getFileImports(filePath) {
+		const existing = fileImports.get(filePath);
+		if (existing) return existing;
+
+		/** @type {FileImport[]} */
+		const imports = [];
+		const sourceFile = await parseFilePathAst(filePath);
 		if (sourceFile) {
 			// Imports is marked as internal, but we could really use them here.
 			// We'll just have to keep in mind this might break when we update TypeScript.
+			// Note that this also contains dynamic imports with a string literal.
 			const castSourceFile =
 				/** @type {import("npm:typescript@4.7.4").SourceFile & {imports: readonly import("npm:typescript@4.7.4").StringLiteralLike[]}} */ (sourceFile);
 			for (const importLiteral of castSourceFile.imports) {
-				allImports.push({
-					importerFilePath: userFile,
+				imports.push({
 					importSpecifier: importLiteral.text,
+					typesSpecifier: getTypesComment(importLiteral.parent, sourceFile),
+					attributeType: getImportAttributeType(importLiteral, sourceFile),
 				});
 			}
 		}
+		fileImports.set(filePath, imports);
+		return imports;
+	}
+
+	for (const userFile of userFiles) {
+		await getFileImports(userFile);
+	}
+
+	// Follow local imports starting from the entry points.
+	/** @type {Set<string>} */
+	const traversedFiles = new Set();
+	const queue = entryPoints.map((entryPoint) => path.resolve(baseDir, entryPoint));
+	while (queue.length > 0) {
+		const filePath = queue.shift();
+		if (!filePath || traversedFiles.has(filePath)) continue;
+		traversedFiles.add(filePath);
+
+		const baseUrl = new URL(path.toFileUrl(filePath));
+		for (const { importSpecifier } of await getFileImports(filePath)) {
+			const resolvedSpecifier = resolveModuleSpecifier(userImportMap, baseUrl, importSpecifier);
+			if (resolvedSpecifier.protocol != "file:") continue;
+			const importedFilePath = path.fromFileUrl(resolvedSpecifier);
+			if (traversedFiles.has(importedFilePath)) continue;
+			if (!collectedFileExtensions.some((extension) => importedFilePath.endsWith(extension))) continue;
+			if (isFileExcluded(importedFilePath)) continue;
+			try {
+				const fileInfo = await Deno.stat(importedFilePath);
+				if (!fileInfo.isFile) continue;
+			} catch (e) {
+				if (e instanceof Deno.errors.NotFound) continue;
+				throw e;
+			}
+			queue.push(importedFilePath);
+		}
+	}
+
+	/**
+	 * List of imports found in the user files.
+	 * @type {ImportData[]}
+	 */
+	const allImports = [];
+	for (const [importerFilePath, imports] of fileImports) {
+		for (const { importSpecifier, typesSpecifier, attributeType } of imports) {
+			allImports.push({ importerFilePath, importSpecifier, typesSpecifier, attributeType });
+		}
 	}
 
 	/** @type {Set<string>} */
@@ -85,24 +174,42 @@ export async function collectImports({
 
 	/** @type {RemoteImportData[]} */
 	const remoteImports = [];
-	for (const { importSpecifier, importerFilePath } of allImports) {
+	/** @type {LocalImportData[]} */
+	const localImports = [];
+	for (const { importSpecifier, importerFilePath, typesSpecifier, attributeType } of allImports) {
 		if (excludeUrls.includes(importSpecifier)) continue;
 
 		const baseUrl = new URL(path.toFileUrl(importerFilePath));
 		const resolvedSpecifier = resolveModuleSpecifier(userImportMap, baseUrl, importSpecifier);
 
 		if (excludeUrls.includes(resolvedSpecifier.href)) continue;
-		if (resolvedSpecifier.protocol == "file:") continue;
+		if (resolvedSpecifier.protocol == "file:") {
+			/** @type {LocalImportData} */
+			const localImport = {
+				importerFilePath,
+				importSpecifier,
+				resolvedFilePath: path.fromFileUrl(resolvedSpecifier),
+			};
+			if (attributeType) localImport.attributeType = attributeType;
+			localImports.push(localImport);
+			continue;
+		}
 
-		remoteImports.push({
+		/** @type {RemoteImportData} */
+		const remoteImport = {
 			importerFilePath,
 			importSpecifier,
 			resolvedSpecifier,
-		});
+		};
+		if (typesSpecifier) remoteImport.typesSpecifier = typesSpecifier;
+		if (attributeType) remoteImport.attributeType = attributeType;
+		remoteImports.push(remoteImport);
 	}
 
 	return {
 		remoteImports,
+		localImports,
 		needsAmbientModuleImportSpecifiers: Array.from(needsAmbientModuleImportSpecifiers),
+		fileCount: fileImports.size,
 	};
 }
@@ -1,5 +1,6 @@
 import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
 import { createEmptyImportMap, parseImportMap } from "https://deno.land/x/import_maps@v0.2.0/mod.js";
+import { getDenoConfigExcludes, getDenoConfigInlineImportMap, getDenoConfigLockFile } from "./denoConfig.js";
 
 /**
  * Creates the types directory and populates it with some default files such
@@ -35,7 +36,7 @@ extension.
 	}
 }
 
-/** @typedef {(entry: Deno.DirEntry) => boolean} ReadDirRecursiveFilter */
+/** @typedef {(entry: Deno.DirEntry, entryPath: string) => boolean} ReadDirRecursiveFilter */
 
 /**
  * Reads all directives recursively and yields all files.
@@ -50,48 +51,211 @@ extension.
  */
 export async function* readDirRecursive(dirPath, filter) {
 	for await (const entry of Deno.readDir(dirPath)) {
-		if (filter && !filter(entry)) continue;
+		const entryPath = path.resolve(dirPath, entry.name);
+		if (filter && !filter(entry, entryPath)) continue;
 		if (entry.isDirectory) {
-			yield* readDirRecursive(path.join(dirPath, entry.name));
+			yield* readDirRecursive(entryPath, filter);
 		} else {
-			yield path.resolve(dirPath, entry.name);
+			yield entryPath;
 		}
 	}
 }
 
+/**
+ * @param {import("../mod.js").GenerateTypesOptions} [options]
+ * @param {import("./denoConfig.js").DenoConfig?} [denoConfig] When provided, options that were not set are taken
+ * from the `tscHelper` section of the config file. The import map and lockfile from the config file are used as
+ * defaults for the `importMap` and `lockFile` options, and its exclude lists are always added to `exclude`.
+ */
+export function fillOptionDefaults(options = {}, denoConfig = null) {
+	/** @type {string?} */
+	let configImportMap = null;
+	/** @type {string[]} */
+	let configExcludes = [];
+	/** @type {string | false} */
+	let configLockFile = "deno.lock";
+	if (denoConfig) {
+		// Inline imports take precedence over the importMap field, this is also what Deno does.
+		if (denoConfig.config.importMap && !getDenoConfigInlineImportMap(denoConfig)) {
+			configImportMap = path.resolve(path.dirname(denoConfig.configPath), denoConfig.config.importMap);
+		}
+		configExcludes = getDenoConfigExcludes(denoConfig);
+		configLockFile = getDenoConfigLockFile(denoConfig);
+	}
+
+	/** @type {import("../mod.js").GenerateTypesOptions} */
+	const mergedOptions = { ...denoConfig?.config.tscHelper };
+	for (const [key, value] of Object.entries(options)) {
+		if (value !== undefined) {
+			/** @type {Object.<string, unknown>} */ (mergedOptions)[key] = value;
+		}
+	}
+
+	return fillMergedOptionDefaults(mergedOptions, configImportMap, configExcludes, configLockFile);
+}
+
 /**
  * @param {import("../mod.js").GenerateTypesOptions} options
+ * @param {string?} configImportMap
+ * @param {string[]} configExcludes
+ * @param {string | false} configLockFile
  */
-export function fillOptionDefaults({
-	include = ["."],
-	exclude = [".denoTypes", "node_modules"],
-	excludeUrls = [],
-	importMap = null,
-	outputDir = "./.denoTypes",
-	cacheHashFile = null,
-	preCollectedImportsFile = null,
-	unstable = false,
-	extraPaths = {},
-	extraTypeRoots = {},
-	exactTypeModules = {},
-	logLevel = "INFO",
-} = {}) {
+function fillMergedOptionDefaults(
+	{
+		entryPoints = [],
+		// When entry points are provided, the user likely doesn't want to include everything in the cwd.
+		include = entryPoints.length > 0 ? [] : ["."],
+		exclude = [".denoTypes", "node_modules"],
+		excludeUrls = [],
+		onVendorError = "warn",
+		importMap = configImportMap,
+		outputDir = "./.denoTypes",
+		cacheHashFile = null,
+		preCollectedImportsFile = null,
+		unstable = false,
+		prune = true,
+		extraPaths = {},
+		extraTypeRoots = {},
+		exactTypeModules = {},
+		npmRegistry = "https://registry.npmjs.org/",
+		jsrRegistry = "https://jsr.io/",
+		nodeTypesVersion = "18",
+		typescriptVersion = null,
+		concurrency = 6,
+		timeout = 60_000,
+		retries = 2,
+		preferDenoCache = false,
+		offline = false,
+		denoDir = null,
+		lock = false,
+		lockFile = configLockFile,
+		writeLock = false,
+		reportFile = null,
+		onEvent = null,
+		emitDeclarationsOnly = false,
+		project = null,
+		logLevel = "INFO",
+	},
+	configImportMap,
+	configExcludes,
+	configLockFile,
+) {
+	/** @type {string[]} */
+	const excludedUrls = [];
+	/**
+	 * The `excludeUrls` entries that provide types for their ambient module.
+	 * @type {import("../mod.js").ExcludeUrlEntry[]}
+	 */
+	const excludedTypes = [];
+	for (const entry of excludeUrls) {
+		if (typeof entry == "string") {
+			excludedUrls.push(entry);
+			continue;
+		}
+		excludedUrls.push(entry.url);
+		if (entry.types || entry.emitDeclarations) excludedTypes.push(entry);
+	}
+
 	return {
+		entryPoints,
 		include,
-		exclude,
-		excludeUrls,
+		// Files excluded by the Deno config are excluded as well when the `exclude` option is set.
+		exclude: [...exclude, ...configExcludes],
+		excludeUrls: excludedUrls,
+		excludedTypes,
+		onVendorError,
 		importMap,
 		outputDir,
 		cacheHashFile,
 		preCollectedImportsFile,
 		unstable,
+		prune,
 		extraPaths,
 		extraTypeRoots,
 		exactTypeModules,
+		npmRegistry,
+		jsrRegistry,
+		nodeTypesVersion,
+		typescriptVersion,
+		concurrency,
+		timeout,
+		retries,
+		preferDenoCache,
+		offline,
+		denoDir,
+		lock,
+		lockFile,
+		writeLock,
+		reportFile,
+		onEvent,
+		emitDeclarationsOnly,
+		project,
 		logLevel,
 	};
 }
 
+/**
+ * Creates a function that checks if a file or directory should be excluded.
+ * Entries that consist of a single name, such as "node_modules", exclude every file or directory with that name.
+ * Other entries are resolved relative to `baseDir` and exclude that path and everything inside it.
+ * Glob patterns such as "src/**\/*.test.js" are supported as well.
+ * @param {string} baseDir
+ * @param {string[]} exclude
+ */
+export function createExcludeMatcher(baseDir, exclude) {
+	/** @type {Set<string>} */
+	const names = new Set();
+	/** @type {string[]} */
+	const paths = [];
+	/** @type {RegExp[]} */
+	const globs = [];
+	for (const excludeEntry of exclude) {
+		if (path.isGlob(excludeEntry)) {
+			globs.push(path.globToRegExp(path.resolve(baseDir, excludeEntry), { extended: true, globstar: true }));
+			continue;
+		}
+		const trimmed = excludeEntry.replace(/[\\/]+$/, "");
+		if (!/[\\/]/.test(trimmed)) names.add(trimmed);
+		paths.push(path.resolve(baseDir, trimmed));
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} absolutePath
+	 */
+	return (name, absolutePath) => {
+		if (names.has(name)) return true;
+		for (const excludedPath of paths) {
+			if (absolutePath == excludedPath || absolutePath.startsWith(excludedPath + path.SEP)) return true;
+		}
+		for (const glob of globs) {
+			if (glob.test(absolutePath)) return true;
+		}
+		return false;
+	};
+}
+
+/**
+ * Creates a function that checks if a file should be excluded, either because the file itself is excluded or because
+ * one of its parent directories is. Only parent directories inside `baseDir` are checked.
+ * @param {string} baseDir
+ * @param {string[]} exclude
+ */
+export function createFileExcludeMatcher(baseDir, exclude) {
+	const isExcluded = createExcludeMatcher(baseDir, exclude);
+	/**
+	 * @param {string} filePath
+	 */
+	return (filePath) => {
+		let currentPath = filePath;
+		while (currentPath != baseDir && currentPath != path.dirname(currentPath)) {
+			if (isExcluded(path.basename(currentPath), currentPath)) return true;
+			currentPath = path.dirname(currentPath);
+		}
+		return false;
+	};
+}
+
 /**
  * Traverses a directory and collects all the paths of all files that match the
  * given include and exclude arrays.
@@ -107,6 +271,7 @@ export async function getIncludeExcludeFiles({
 	exclude,
 	extensions,
 }) {
+	const isExcluded = createExcludeMatcher(baseDir, exclude);
 	const files = [];
 	for (const includePath of include) {
 		const absoluteIncludePath = path.resolve(
@@ -116,8 +281,8 @@ export async function getIncludeExcludeFiles({
 		const fileInfo = await Deno.stat(absoluteIncludePath);
 		if (fileInfo.isDirectory) {
 			/** @type {ReadDirRecursiveFilter} */
-			const filter = (entry) => {
-				if (exclude.includes(entry.name)) return false;
+			const filter = (entry, entryPath) => {
+				if (isExcluded(entry.name, entryPath)) return false;
 				return true;
 			};
 			for await (const filePath of readDirRecursive(absoluteIncludePath, filter)) {
@@ -141,19 +306,29 @@ export async function getIncludeExcludeFiles({
 
 /**
  * Loads the import map specified using the `importMap` option.
- * If the option is not provided, an empty import map is returned.
+ * If the option is not provided, the `imports` and `scopes` from the Deno config file are used.
+ * If neither exists, an empty import map is returned.
  * @param {string?} importMap
  * @param {string} cwd
+ * @param {import("./denoConfig.js").DenoConfig?} [denoConfig]
  */
-export async function loadImportMap(importMap, cwd) {
-	const userImportMapPath = importMap ? path.resolve(cwd, importMap) : null;
-	let userImportMap;
+export async function loadImportMap(importMap, cwd, denoConfig = null) {
+	/** @type {string?} */
+	let userImportMapPath = importMap ? path.resolve(cwd, importMap) : null;
+	/** @type {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ImportMapData?} */
+	let userImportMapData = null;
 	if (userImportMapPath) {
 		const userImportMapStr = await Deno.readTextFile(userImportMapPath);
-		/** @type {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ImportMapData} */
-		const userImportMapJson = JSON.parse(userImportMapStr);
+		userImportMapData = JSON.parse(userImportMapStr);
+	} else if (denoConfig) {
+		userImportMapData = getDenoConfigInlineImportMap(denoConfig);
+		if (userImportMapData) userImportMapPath = denoConfig.configPath;
+	}
+
+	let userImportMap;
+	if (userImportMapPath && userImportMapData) {
 		const baseUrl = new URL(path.toFileUrl(userImportMapPath));
-		userImportMap = parseImportMap(userImportMapJson, baseUrl);
+		userImportMap = parseImportMap(userImportMapData, baseUrl);
 	} else {
 		userImportMap = createEmptyImportMap();
 	}
@@ -161,6 +336,7 @@ export async function loadImportMap(importMap, cwd) {
 	return {
 		userImportMap,
 		userImportMapPath,
+		userImportMapData,
 	};
 }
 
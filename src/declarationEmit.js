@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Utilities for generating declaration files from JavaScript and TypeScript modules using the
+ * declaration emit of TypeScript.
+ */
+
+import ts from "npm:typescript@4.7.4";
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+
+/**
+ * Generates a best-effort declaration file from the contents of a module. Imports of the module are not resolved,
+ * so anything that comes from another module ends up as `any`. Returns `null` when TypeScript skipped the emit.
+ * @param {string} fileContent
+ * @param {string} filePath The path of the module, its extension determines how the contents are parsed. The file
+ * doesn't need to exist.
+ */
+export function emitModuleDeclaration(fileContent, filePath) {
+	const normalizedFilePath = path.normalize(filePath);
+	/** @type {string?} */
+	let declaration = null;
+	const program = ts.createProgram([normalizedFilePath], {
+		noResolve: true,
+		target: ts.ScriptTarget.Latest,
+		module: ts.ModuleKind.ESNext,
+		allowJs: true,
+		declaration: true,
+		emitDeclarationOnly: true,
+	}, {
+		fileExists: () => true,
+		getCanonicalFileName: (filePath) => filePath,
+		getCurrentDirectory: () => "",
+		getDefaultLibFileName: () => "lib.d.ts",
+		getNewLine: () => "\n",
+		getSourceFile: (fileName) => {
+			// Normalizing is required to make the two paths match on Windows.
+			if (path.normalize(fileName) === normalizedFilePath) {
+				return ts.createSourceFile(fileName, fileContent, ts.ScriptTarget.Latest);
+			}
+			return undefined;
+		},
+		readFile: () => undefined,
+		useCaseSensitiveFileNames: () => true,
+		writeFile: (fileName, text) => {
+			if (fileName.endsWith(".d.ts")) declaration = text;
+		},
+	});
+	const result = program.emit(undefined, undefined, undefined, true);
+	if (result.emitSkipped) return null;
+	return declaration;
+}
+
+/**
+ * Emits declaration files for modules that import each other using a single program, so that types which come from
+ * other modules are kept. Returns the declarations mapped by the path of the module they were emitted for. Modules
+ * for which the emit reported errors are left out, since their declarations are likely incomplete.
+ * @param {string[]} filePaths
+ */
+export function emitDeclarationFiles(filePaths) {
+	/** @type {ts.CompilerOptions} */
+	const options = {
+		target: ts.ScriptTarget.Latest,
+		module: ts.ModuleKind.ESNext,
+		moduleResolution: ts.ModuleResolutionKind.NodeJs,
+		allowJs: true,
+		declaration: true,
+		emitDeclarationOnly: true,
+		skipLibCheck: true,
+	};
+	/** @type {Map<string, string>} */
+	const declarations = new Map();
+	const host = ts.createCompilerHost(options);
+	host.writeFile = (fileName, text, _writeByteOrderMark, _onError, sourceFiles) => {
+		const sourceFile = sourceFiles?.[0];
+		if (sourceFile && fileName.endsWith(".d.ts")) declarations.set(path.normalize(sourceFile.fileName), text);
+	};
+	const program = ts.createProgram(filePaths.map((filePath) => path.normalize(filePath)), options, host);
+	const result = program.emit(undefined, undefined, undefined, true);
+	for (const diagnostic of result.diagnostics) {
+		if (diagnostic.file) declarations.delete(path.normalize(diagnostic.file.fileName));
+	}
+	return declarations;
+}
+
+/**
+ * Replaces JavaScript and TypeScript files with declaration files emitted by TypeScript. The declarations are
+ * emitted in a single program, so files that import each other should be replaced together.
+ * Files that already have a declaration file next to them, such as one from an `X-TypeScript-Types` header,
+ * only have their source removed. Files whose declarations failed to emit keep their source.
+ * Returns the paths of the declaration files mapped by the path of the file they replaced.
+ * @param {string[]} filePaths
+ * @param {import("./logging.js").Logger} logger
+ */
+export async function replaceWithDeclarations(filePaths, logger) {
+	/** @type {Map<string, string>} */
+	const declarationPaths = new Map();
+	for (const filePath of filePaths) {
+		if (filePath.endsWith(".d.ts") || (!filePath.endsWith(".js") && !filePath.endsWith(".ts"))) continue;
+		const parsedPath = path.parse(filePath);
+		declarationPaths.set(filePath, path.format({ dir: parsedPath.dir, name: parsedPath.name, ext: ".d.ts" }));
+	}
+
+	/** @type {string[]} */
+	const emitPaths = [];
+	for (const [filePath, declarationPath] of declarationPaths) {
+		try {
+			await Deno.stat(declarationPath);
+		} catch (e) {
+			if (!(e instanceof Deno.errors.NotFound)) throw e;
+			emitPaths.push(filePath);
+		}
+	}
+	logger.debug(`Emitting declarations for ${emitPaths.length} vendored files`);
+	const declarations = emitDeclarationFiles(emitPaths);
+
+	/** @type {Map<string, string>} */
+	const replacedPaths = new Map();
+	for (const [filePath, declarationPath] of declarationPaths) {
+		if (emitPaths.includes(filePath)) {
+			const declaration = declarations.get(filePath);
+			if (declaration == null) {
+				logger.debug(`Keeping the source of ${filePath}, because its declarations could not be emitted.`);
+				continue;
+			}
+			await Deno.writeTextFile(declarationPath, declaration);
+		}
+		await Deno.remove(filePath);
+		replacedPaths.set(filePath, declarationPath);
+	}
+	return replacedPaths;
+}
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Utilities for reading remote modules and npm packages from Deno's own cache, i.e. the files that
+ * `deno cache` places in the DENO_DIR. This allows types to be generated without network access.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { copy, ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import { resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/mod.js";
+import { sanitizeFileName } from "./common.js";
+import { getSha256Hex } from "./lockfile.js";
+import { parseFileAst } from "./parseFileAst.js";
+
+/**
+ * Newer versions of Deno store the headers of a remote module at the end of the cached file, after this marker.
+ */
+const embeddedMetadataMarker = "\n// denoCacheMetadata=";
+
+/**
+ * The maximum amount of cached redirects that are followed for a single url.
+ */
+const maxRedirects = 10;
+
+/**
+ * @typedef DenoCacheModule
+ * @property {string} url The url of the module after following redirects.
+ * @property {Uint8Array} bytes
+ * @property {Object.<string, string>} headers The headers that were recorded when the module was cached.
+ */
+
+/**
+ * Returns the location of the DENO_DIR, which is the `DENO_DIR` environment variable when set, or the default
+ * location for the current platform otherwise.
+ */
+export function getDefaultDenoDir() {
+	const denoDir = Deno.env.get("DENO_DIR");
+	if (denoDir) return denoDir;
+	const home = Deno.env.get("HOME") || Deno.env.get("USERPROFILE") || "";
+	if (Deno.build.os == "windows") {
+		return path.resolve(Deno.env.get("LOCALAPPDATA") || path.resolve(home, "AppData", "Local"), "deno");
+	} else if (Deno.build.os == "darwin") {
+		return path.resolve(home, "Library", "Caches", "deno");
+	}
+	return path.resolve(Deno.env.get("XDG_CACHE_HOME") || path.resolve(home, ".cache"), "deno");
+}
+
+/**
+ * Returns the path of a remote module relative to the remote cache directory, the same way Deno computes it.
+ * The file name is the sha256 hash of the path and query of the url.
+ * @param {URL} url
+ */
+export async function getDenoCacheFileName(url) {
+	let host = url.hostname;
+	if (url.port) host += "_PORT" + url.port;
+	const hash = await getSha256Hex(new TextEncoder().encode(url.pathname + url.search));
+	return path.join(url.protocol.slice(0, -1), host, hash);
+}
+
+/**
+ * @param {string} filePath
+ */
+async function readFileIfExists(filePath) {
+	try {
+		return await Deno.readFile(filePath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+}
+
+/**
+ * Reads a single cached url without following redirects. Both the `remote` directory of newer Deno versions and
+ * the `deps` directory of older versions are checked.
+ * @param {string} denoDir
+ * @param {URL} url
+ * @returns {Promise<{bytes: Uint8Array, headers: Object.<string, string>}?>}
+ */
+async function readCacheEntry(denoDir, url) {
+	const fileName = await getDenoCacheFileName(url);
+
+	const remoteBytes = await readFileIfExists(path.resolve(denoDir, "remote", fileName));
+	if (remoteBytes) {
+		// The marker is always ascii, so it is safe to search the bytes of binary modules as latin1.
+		const latin1 = new TextDecoder("latin1").decode(remoteBytes);
+		const markerIndex = latin1.lastIndexOf(embeddedMetadataMarker);
+		if (markerIndex == -1) return { bytes: remoteBytes, headers: {} };
+		const metadataBytes = remoteBytes.subarray(markerIndex + embeddedMetadataMarker.length);
+		const metadata = JSON.parse(new TextDecoder().decode(metadataBytes));
+		return { bytes: remoteBytes.subarray(0, markerIndex), headers: metadata.headers || {} };
+	}
+
+	const depsPath = path.resolve(denoDir, "deps", fileName);
+	const metadataBytes = await readFileIfExists(depsPath + ".metadata.json");
+	if (!metadataBytes) return null;
+	const metadata = JSON.parse(new TextDecoder().decode(metadataBytes));
+	const bytes = await readFileIfExists(depsPath) || new Uint8Array();
+	return { bytes, headers: metadata.headers || {} };
+}
+
+/**
+ * Reads a remote module from the Deno cache, following any redirects that were cached along with it.
+ * Returns `null` when the module, or one of the urls it redirects to, isn't cached.
+ * @param {string} denoDir
+ * @param {string | URL} url
+ * @returns {Promise<DenoCacheModule?>}
+ */
+export async function readDenoCacheModule(denoDir, url) {
+	let currentUrl = new URL(url);
+	for (let i = 0; i <= maxRedirects; i++) {
+		const entry = await readCacheEntry(denoDir, currentUrl);
+		if (!entry) return null;
+		const location = Object.entries(entry.headers).find(([name]) => name.toLowerCase() == "location")?.[1];
+		if (!location) return { url: currentUrl.href, ...entry };
+		currentUrl = new URL(location, currentUrl);
+	}
+	return null;
+}
+
+/**
+ * Returns the directory in the Deno cache that contains the packages of an npm registry.
+ * @param {string} denoDir
+ * @param {string} registry
+ */
+function getNpmRegistryCacheDir(denoDir, registry) {
+	const registryUrl = new URL(registry);
+	let host = registryUrl.hostname;
+	if (registryUrl.port) host += "_" + registryUrl.port;
+	return path.resolve(denoDir, "npm", host);
+}
+
+/**
+ * Copies an npm package that Deno has extracted in its cache to a directory.
+ * Returns `false` when the package isn't cached.
+ * @param {Object} options
+ * @param {string} options.denoDir
+ * @param {string} options.registry
+ * @param {string} options.packageName
+ * @param {string} options.version
+ * @param {string} options.destinationDir
+ */
+export async function copyDenoCacheNpmPackage({ denoDir, registry, packageName, version, destinationDir }) {
+	const cachedDir = path.resolve(getNpmRegistryCacheDir(denoDir, registry), packageName, version);
+	try {
+		await Deno.stat(path.resolve(cachedDir, "package.json"));
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return false;
+		throw e;
+	}
+	await ensureDir(path.dirname(destinationDir));
+	await copy(cachedDir, destinationDir, { overwrite: true });
+	return true;
+}
+
+/**
+ * Creates a fetch function that responds with modules from the Deno cache when they are cached. Requests for the
+ * registry data of npm packages are answered with the registry.json that Deno stores next to the cached packages.
+ *
+ * When a url isn't cached, the request is made using `fetcher`. Unless `offline` is set, in which case the url
+ * is added to `missingUrls` and the request fails.
+ * @param {Object} options
+ * @param {string} options.denoDir
+ * @param {string} options.npmRegistry
+ * @param {boolean} options.offline
+ * @param {Set<string>} options.missingUrls
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @returns {import("./fetching.js").Fetcher}
+ */
+export function createDenoCacheFetcher({ denoDir, npmRegistry, offline, missingUrls, fetcher }) {
+	const npmRegistryUrl = npmRegistry.endsWith("/") ? npmRegistry : npmRegistry + "/";
+	return async (input, init) => {
+		const url = new URL(input);
+		if (url.protocol == "http:" || url.protocol == "https:") {
+			if (url.href.startsWith(npmRegistryUrl)) {
+				const packageName = decodeURIComponent(url.href.slice(npmRegistryUrl.length));
+				const registryJsonPath = path.resolve(
+					getNpmRegistryCacheDir(denoDir, npmRegistry),
+					packageName,
+					"registry.json",
+				);
+				const registryJson = await readFileIfExists(registryJsonPath);
+				if (registryJson) {
+					return new Response(registryJson, { headers: { "content-type": "application/json" } });
+				}
+			}
+
+			const cached = await readDenoCacheModule(denoDir, url);
+			if (cached) {
+				const response = new Response(cached.bytes, { headers: cached.headers });
+				// Relative urls in modules and headers are resolved against the url after redirects.
+				Object.defineProperty(response, "url", { value: cached.url });
+				return response;
+			}
+		}
+		if (offline) {
+			missingUrls.add(url.href);
+			throw new Error(`${url.href} is not in the Deno cache.`);
+		}
+		return await fetcher(input, init);
+	};
+}
+
+/**
+ * Creates an error that lists everything that wasn't found in the Deno cache.
+ * @param {Set<string>} missingUrls
+ * @param {unknown} [cause]
+ */
+export function createMissingFromDenoCacheError(missingUrls, cause) {
+	const list = Array.from(missingUrls).sort().map((url) => `  ${url}`).join("\n");
+	return new Error(
+		`The following urls are not in the Deno cache, run \`deno cache\` on your entry points or disable the \`offline\` option:\n${list}`,
+		{ cause },
+	);
+}
+
+/**
+ * The extensions that tsc recognizes for vendored modules.
+ */
+const moduleExtensions = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".mts", ".cts", ".tsx", ".json"];
+
+/**
+ * Returns the path that a module is vendored to. The path mirrors the url, the query string is included in the file
+ * name and an extension is added based on the content type when the url doesn't have one.
+ * @param {string} outDir
+ * @param {URL} url
+ * @param {string?} contentType
+ */
+function getVendorPath(outDir, url, contentType) {
+	const segments = url.pathname.split("/").filter((segment) => segment).map((s) => sanitizeFileName(s));
+	if (segments.length == 0) segments.push("index");
+	let fileName = segments[segments.length - 1];
+	let extension = moduleExtensions.find((ext) => fileName.endsWith(ext)) || "";
+	if (extension) {
+		fileName = fileName.slice(0, -extension.length);
+	} else if (contentType && /typescript|\/tsx/.test(contentType)) {
+		extension = contentType.includes("tsx") ? ".tsx" : ".ts";
+	} else if (contentType && contentType.includes("jsx")) {
+		extension = ".jsx";
+	} else if (contentType && contentType.includes("json")) {
+		extension = ".json";
+	} else {
+		extension = ".js";
+	}
+	if (url.search) fileName += sanitizeFileName(url.search);
+	segments[segments.length - 1] = fileName + extension;
+	return path.resolve(outDir, sanitizeFileName(url.host), ...segments);
+}
+
+/**
+ * @typedef VendoredFile
+ * @property {string} url
+ * @property {string} path
+ * @property {string?} typesUrl The resolved url from the `X-TypeScript-Types` header of the response, which CDNs
+ * such as esm.sh use to point to the declarations of a JavaScript module.
+ */
+
+/**
+ * Vendors a remote module and all the remote modules it imports, similar to `vendor()`. Unlike `vendor()`, which
+ * always fetches modules itself, the modules are requested using `fetcher`. This way they can be read from the
+ * Deno cache.
+ * @param {Object} options
+ * @param {string} options.entryPoint
+ * @param {string} options.outDir
+ * @param {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ParsedImportMap} options.parsedImportMap
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @param {(error: {url: string, error: unknown}) => void} options.onFetchError
+ * @param {(url: string, finalUrl: string, bytes: Uint8Array) => Promise<void>} [options.verifyIntegrity] Called with
+ * the raw content of every downloaded file before it is written, `finalUrl` is the url after following redirects.
+ * @param {boolean} [options.includeReferencedFiles] Whether to also vendor the files from `/// <reference path>`
+ * directives. These are removed from vendored modules, but declaration files need them.
+ * @returns {Promise<VendoredFile[]>}
+ */
+export async function vendorWithFetcher({
+	entryPoint,
+	outDir,
+	parsedImportMap,
+	fetcher,
+	onFetchError,
+	verifyIntegrity,
+	includeReferencedFiles = false,
+}) {
+	/** @type {VendoredFile[]} */
+	const vendorFiles = [];
+	/** @type {Set<string>} */
+	const visitedUrls = new Set();
+	const queue = [entryPoint];
+	while (queue.length > 0) {
+		const url = queue.shift();
+		if (!url || visitedUrls.has(url)) continue;
+		visitedUrls.add(url);
+
+		let response;
+		try {
+			response = await fetcher(url);
+			if (!response.ok) {
+				await response.body?.cancel();
+				throw new Error(`The server responded with status code ${response.status}.`);
+			}
+		} catch (error) {
+			onFetchError({ url, error });
+			continue;
+		}
+		const finalUrl = new URL(response.url || url);
+		const filePath = getVendorPath(outDir, finalUrl, response.headers.get("content-type"));
+		const typesHeader = response.headers.get("X-TypeScript-Types");
+		const typesUrl = typesHeader ? new URL(typesHeader, finalUrl).href : null;
+		// The raw bytes are written, since decoding them would change the hash of files with a BOM or invalid UTF-8.
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		if (verifyIntegrity) await verifyIntegrity(url, finalUrl.href, bytes);
+		await ensureDir(path.dirname(filePath));
+		await Deno.writeFile(filePath, bytes);
+		vendorFiles.push({ url, path: filePath, typesUrl });
+		if (finalUrl.href != url) {
+			visitedUrls.add(finalUrl.href);
+			vendorFiles.push({ url: finalUrl.href, path: filePath, typesUrl });
+		}
+
+		if (filePath.endsWith(".json")) continue;
+		const sourceFile = parseFileAst(new TextDecoder().decode(bytes), filePath);
+		if (!sourceFile) continue;
+		// Imports is marked as internal, see collectImports.js.
+		const castSourceFile =
+			/** @type {import("npm:typescript@4.7.4").SourceFile & {imports: readonly import("npm:typescript@4.7.4").StringLiteralLike[]}} */ (sourceFile);
+		for (const importLiteral of castSourceFile.imports) {
+			const resolved = resolveModuleSpecifier(parsedImportMap, finalUrl, importLiteral.text);
+			if (resolved.protocol == "http:" || resolved.protocol == "https:") {
+				queue.push(resolved.href);
+			}
+		}
+		if (!includeReferencedFiles) continue;
+		for (const reference of sourceFile.referencedFiles) {
+			queue.push(new URL(reference.fileName, finalUrl).href);
+		}
+	}
+	return vendorFiles;
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Utilities for loading the deno.json or deno.jsonc configuration file of a project.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import * as jsonc from "https://deno.land/std@0.167.0/encoding/jsonc.ts";
+
+/**
+ * @typedef DenoConfigFileData
+ * @property {string} [importMap]
+ * @property {Object.<string, string>} [imports]
+ * @property {Object.<string, Object.<string, string>>} [scopes]
+ * @property {string[]} [exclude]
+ * @property {{exclude?: string[], files?: {exclude?: string[]}}} [fmt]
+ * @property {{exclude?: string[], files?: {exclude?: string[]}}} [lint]
+ * @property {string | boolean | {path?: string}} [lock]
+ * @property {import("../mod.js").GenerateTypesOptions} [tscHelper]
+ */
+
+/**
+ * @typedef DenoConfig
+ * @property {string} configPath The absolute path to the config file.
+ * @property {DenoConfigFileData} config The parsed contents of the config file.
+ */
+
+const defaultConfigFileNames = ["deno.json", "deno.jsonc"];
+
+/**
+ * Loads the deno.json or deno.jsonc file from the cwd.
+ * Returns `null` when no config file exists or when loading it has been disabled.
+ * @param {string | false | undefined} denoConfigOption The `denoConfig` option as provided by the user.
+ * @param {string} cwd
+ * @returns {Promise<DenoConfig?>}
+ */
+export async function loadDenoConfig(denoConfigOption, cwd) {
+	if (denoConfigOption === false) return null;
+
+	/** @type {string[]} */
+	let candidates;
+	if (denoConfigOption) {
+		candidates = [path.resolve(cwd, denoConfigOption)];
+	} else {
+		candidates = defaultConfigFileNames.map((fileName) => path.resolve(cwd, fileName));
+	}
+
+	for (const configPath of candidates) {
+		let text;
+		try {
+			text = await Deno.readTextFile(configPath);
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound && !denoConfigOption) continue;
+			throw e;
+		}
+		let config;
+		try {
+			config = jsonc.parse(text);
+		} catch {
+			throw new Error(`Failed to parse the Deno config file at "${configPath}".`);
+		}
+		if (!config || typeof config != "object" || Array.isArray(config)) {
+			throw new Error(`The Deno config file at "${configPath}" does not contain an object.`);
+		}
+		return {
+			configPath,
+			config: /** @type {DenoConfigFileData} */ (config),
+		};
+	}
+	return null;
+}
+
+/**
+ * Collects all the exclude lists from a Deno config file.
+ * The returned paths are resolved relative to the directory of the config file.
+ * @param {DenoConfig} denoConfig
+ */
+export function getDenoConfigExcludes({ config, configPath }) {
+	/** @type {(string[] | undefined)[]} */
+	const lists = [
+		config.exclude,
+		config.fmt?.exclude,
+		config.fmt?.files?.exclude,
+		config.lint?.exclude,
+		config.lint?.files?.exclude,
+	];
+	const configDir = path.dirname(configPath);
+	/** @type {Set<string>} */
+	const excludes = new Set();
+	for (const list of lists) {
+		if (!list) continue;
+		for (const exclude of list) {
+			excludes.add(path.resolve(configDir, exclude));
+		}
+	}
+	return Array.from(excludes);
+}
+
+/**
+ * Returns the import map data that is embedded in the config file via the `imports` and `scopes` fields.
+ * Returns `null` when neither field exists.
+ * @param {DenoConfig} denoConfig
+ * @returns {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ImportMapData?}
+ */
+export function getDenoConfigInlineImportMap({ config }) {
+	if (!config.imports && !config.scopes) return null;
+	/** @type {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ImportMapData} */
+	const importMap = {};
+	if (config.imports) importMap.imports = config.imports;
+	if (config.scopes) importMap.scopes = config.scopes;
+	return importMap;
+}
+
+/**
+ * Returns the absolute path of the lockfile that Deno uses for this config file, or `false` when the lockfile
+ * has been disabled. This is the `lock` field when set, or a deno.lock file next to the config file otherwise.
+ * @param {DenoConfig} denoConfig
+ */
+export function getDenoConfigLockFile({ config, configPath }) {
+	if (config.lock === false) return false;
+	const configDir = path.dirname(configPath);
+	let lockPath = "deno.lock";
+	if (typeof config.lock == "string") {
+		lockPath = config.lock;
+	} else if (typeof config.lock == "object" && config.lock.path) {
+		lockPath = config.lock.path;
+	}
+	return path.resolve(configDir, lockPath);
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Contains the events that are passed to the `onEvent` option while generating types. These allow
+ * tools such as dev servers to show progress without having to parse the log output.
+ */
+
+/**
+ * Emitted before the imports of your files are collected.
+ * @typedef CollectStartEvent
+ * @property {"collectStart"} type
+ */
+
+/**
+ * Emitted once the imports of your files have been collected.
+ * @typedef CollectEndEvent
+ * @property {"collectEnd"} type
+ * @property {number?} fileCount The amount of files that were parsed. This is `null` when the imports were loaded
+ * from a pre-collected imports file that was created by an older version.
+ * @property {number} remoteImportCount
+ * @property {number} localImportCount
+ */
+
+/**
+ * Emitted when the types of a specifier start being fetched.
+ * @typedef VendorStartEvent
+ * @property {"vendorStart"} type
+ * @property {string} specifier The resolved specifier.
+ */
+
+/**
+ * Emitted when the types of a specifier have been fetched.
+ * @typedef VendorEndEvent
+ * @property {"vendorEnd"} type
+ * @property {string} specifier The resolved specifier.
+ * @property {number} duration The amount of milliseconds it took.
+ * @property {string[]} failedUrls Files of the module that failed to download, which can mean the types are
+ * incomplete.
+ */
+
+/**
+ * Emitted when fetching the types of a specifier failed. Generating types fails as well after this.
+ * @typedef VendorErrorEvent
+ * @property {"vendorError"} type
+ * @property {string} specifier The resolved specifier.
+ * @property {unknown} error
+ */
+
+/**
+ * Emitted while the tarball of an npm package is downloading.
+ * @typedef NpmDownloadProgressEvent
+ * @property {"npmDownloadProgress"} type
+ * @property {string} packageName
+ * @property {string} version
+ * @property {number} loadedBytes
+ * @property {number?} totalBytes This is `null` when the registry doesn't send the size of the tarball.
+ */
+
+/**
+ * Emitted before vendored files are modified so that they work with tsc.
+ * @typedef ModifyVendoredFilesStartEvent
+ * @property {"modifyVendoredFilesStart"} type
+ * @property {string} specifier The resolved specifier that the files were vendored for. For jsr packages this is
+ * `jsr:<name>@<version>`, since the files of a package are shared between all of its specifiers.
+ * @property {number} fileCount
+ */
+
+/**
+ * Emitted after vendored files have been modified.
+ * @typedef ModifyVendoredFilesEndEvent
+ * @property {"modifyVendoredFilesEnd"} type
+ * @property {string} specifier The same specifier as the one from the start event.
+ */
+
+/**
+ * Emitted after the generated tsconfig.json has been written.
+ * @typedef TsConfigWrittenEvent
+ * @property {"tsconfigWritten"} type
+ * @property {string} path The absolute path of the tsconfig.json.
+ */
+
+/**
+ * @typedef {CollectStartEvent | CollectEndEvent | VendorStartEvent | VendorEndEvent | VendorErrorEvent | NpmDownloadProgressEvent | ModifyVendoredFilesStartEvent | ModifyVendoredFilesEndEvent | TsConfigWrittenEvent} GenerateTypesEvent
+ */
+
+/**
+ * Creates a function that passes events to the `onEvent` option. Errors thrown by the callback are logged rather
+ * than thrown, so that a broken progress indicator doesn't make generating types fail.
+ * @param {((event: GenerateTypesEvent) => void)?} onEvent
+ * @param {import("./logging.js").Logger} logger
+ */
+export function createEventEmitter(onEvent, logger) {
+	/**
+	 * @param {GenerateTypesEvent} event
+	 */
+	return (event) => {
+		if (!onEvent) return;
+		try {
+			onEvent(event);
+		} catch (e) {
+			logger.error(`The onEvent callback threw while handling a "${event.type}" event: ${e}`);
+		}
+	};
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Utilities for providing types for the ambient modules of excluded urls, using either a declaration
+ * file from the `excludeUrls` entry or declarations that are emitted from the source of the module.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import { resolveModuleSpecifier } from "https://deno.land/x/import_maps@v0.2.0/mod.js";
+import { sanitizeFileName } from "./common.js";
+import { emitModuleDeclaration } from "./declarationEmit.js";
+
+/**
+ * The source that is stored in the cache file for urls whose declarations failed to emit.
+ */
+const failedEmitSource = "emitDeclarationsFailed";
+
+/**
+ * Fetches or emits the declaration files for `excludeUrls` entries that provide types. Declaration files that were
+ * fetched during a previous run from the same source are reused.
+ * Returns the paths of the declaration files mapped by their excluded url, and the sources of the fetched files
+ * mapped by their excluded url, which is stored in the cache file as `fetchedExcludedTypes`.
+ * @param {Object} options
+ * @param {import("../mod.js").ExcludeUrlEntry[]} options.excludedTypes
+ * @param {Object.<string, string>} options.cachedSources The `fetchedExcludedTypes` from the previous run.
+ * @param {string} options.cwd
+ * @param {string} options.outputDirPath The absolute path of the output directory.
+ * @param {import("https://deno.land/x/import_maps@v0.2.0/mod.js").ParsedImportMap} options.userImportMap
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {(url: string, importer: string, error: unknown) => void} options.reportFailedFetch
+ */
+export async function fetchExcludedTypes({
+	excludedTypes,
+	cachedSources,
+	cwd,
+	outputDirPath,
+	userImportMap,
+	fetcher,
+	logger,
+	reportFailedFetch,
+}) {
+	/** @type {Object.<string, string>} */
+	const fetchedSources = {};
+	/**
+	 * Maps excluded urls to the absolute path of the declaration file that their ambient module re-exports.
+	 * @type {Map<string, string>}
+	 */
+	const typesPaths = new Map();
+	const excludedTypesDirPath = path.resolve(outputDirPath, "excludedTypes");
+	await Promise.all(
+		excludedTypes.map(async ({ url, types }) => {
+			// Local declaration files are used directly, so that changes to them don't require generating types again.
+			if (types && !types.startsWith("http:") && !types.startsWith("https:")) {
+				typesPaths.set(url, path.resolve(cwd, types));
+				return;
+			}
+			const source = types || "emitDeclarations";
+			// Emitting the same module again would most likely fail again, so failed emits are cached as well.
+			if (!types && cachedSources[url] == failedEmitSource) {
+				fetchedSources[url] = failedEmitSource;
+				return;
+			}
+			const dirPath = path.resolve(excludedTypesDirPath, sanitizeFileName(url));
+			const filePath = path.resolve(dirPath, "index.d.ts");
+
+			if (cachedSources[url] != source) {
+				// Excluded urls can be import map specifiers, so these are resolved before the module is fetched.
+				const fetchUrl = types ||
+					resolveModuleSpecifier(userImportMap, path.toFileUrl(cwd + path.SEP), url).href;
+				logger.debug(`Fetching ${types ? "types" : "the module to emit declarations"} for excluded url ${url}`);
+				let response;
+				let content;
+				try {
+					response = await fetcher(fetchUrl);
+					if (!response.ok) {
+						await response.body?.cancel();
+						throw new Error(`The server responded with status code ${response.status}.`);
+					}
+					content = await response.text();
+				} catch (e) {
+					reportFailedFetch(fetchUrl, `the excludeUrls entry for ${url}`, e);
+					return;
+				}
+				if (!types) {
+					const extension = path.extname(new URL(response.url || fetchUrl).pathname) == ".ts" ? ".ts" : ".js";
+					const declaration = emitModuleDeclaration(content, "/module" + extension);
+					if (declaration == null) {
+						logger.warning(`Failed to emit declarations for excluded url ${url}, its types will be 'any'.`);
+						fetchedSources[url] = failedEmitSource;
+						return;
+					}
+					content = declaration;
+				}
+				await ensureDir(dirPath);
+				await Deno.writeTextFile(filePath, content);
+			}
+			typesPaths.set(url, filePath);
+			fetchedSources[url] = source;
+		}),
+	);
+	return { typesPaths, fetchedSources };
+}
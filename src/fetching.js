@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Utilities for running work in parallel, and for making requests that time out and are retried
+ * so that a single slow or flaky host doesn't hang or fail a whole run.
+ */
+
+/**
+ * @typedef {(input: string | URL, init?: RequestInit) => Promise<Response>} Fetcher
+ */
+
+/**
+ * Called while the body of a response is being downloaded. `totalBytes` is `null` when the server doesn't send a
+ * content-length header.
+ * @typedef {(url: string, loadedBytes: number, totalBytes: number?) => void} DownloadProgressCallback
+ */
+
+/**
+ * Statuses that are worth retrying, since the same request might succeed a moment later.
+ */
+const retryableStatuses = [408, 429, 500, 502, 503, 504];
+
+/**
+ * The delay before the first retry in milliseconds, this is doubled for every subsequent retry.
+ */
+const initialRetryDelay = 250;
+
+/**
+ * Creates a function that runs async tasks, but never more than `concurrency` at the same time.
+ * Tasks that are started while the limit is reached wait until another task finishes.
+ * @param {number} concurrency
+ */
+export function createLimiter(concurrency) {
+	let running = 0;
+	/** @type {(() => void)[]} */
+	const waiting = [];
+
+	/**
+	 * @template T
+	 * @param {() => Promise<T>} task
+	 * @returns {Promise<T>}
+	 */
+	async function limit(task) {
+		if (running >= concurrency) {
+			// The finishing task hands its slot over to us, so `running` stays the same.
+			await new Promise((resolve) => waiting.push(() => resolve(undefined)));
+		} else {
+			running++;
+		}
+		try {
+			return await task();
+		} finally {
+			const next = waiting.shift();
+			if (next) {
+				next();
+			} else {
+				running--;
+			}
+		}
+	}
+	return limit;
+}
+
+/**
+ * Creates a function that runs an async task only once per key. Calling it again with the same key returns the
+ * promise of the first call, so that work which is started from parallel tasks isn't done twice.
+ */
+export function createDeduplicator() {
+	/** @type {Map<string, Promise<unknown>>} */
+	const running = new Map();
+
+	/**
+	 * @template T
+	 * @param {string} key
+	 * @param {() => Promise<T>} task
+	 * @returns {Promise<T>}
+	 */
+	function dedupe(key, task) {
+		let promise = /** @type {Promise<T> | undefined} */ (running.get(key));
+		if (!promise) {
+			promise = task();
+			running.set(key, promise);
+		}
+		return promise;
+	}
+	return dedupe;
+}
+
+/**
+ * Calls the callback for every item in the queue, with at most `concurrency` callbacks running at the same time.
+ * The callback can add more items to the queue while it runs. When a callback throws, no new items are started
+ * and the first error is thrown once all running callbacks have finished.
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, addItem: (item: T) => void) => Promise<void>} callback
+ */
+export async function processQueue(items, concurrency, callback) {
+	const queue = [...items];
+	/** @param {T} item */
+	function addItem(item) {
+		queue.push(item);
+	}
+
+	/** @type {Set<Promise<void>>} */
+	const running = new Set();
+	let failed = false;
+	/** @type {unknown} */
+	let firstError = null;
+	while ((queue.length > 0 && !failed) || running.size > 0) {
+		while (queue.length > 0 && !failed && running.size < concurrency) {
+			const item = /** @type {T} */ (queue.shift());
+			const promise = (async () => {
+				try {
+					await callback(item, addItem);
+				} catch (e) {
+					if (!failed) {
+						failed = true;
+						firstError = e;
+					}
+				}
+			})();
+			running.add(promise);
+			promise.then(() => running.delete(promise));
+		}
+		if (running.size > 0) await Promise.race(running);
+	}
+	if (failed) throw firstError;
+}
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads the full body of a response, reporting the amount of bytes that have been read so far.
+ * @param {string} url The requested url, which is reported rather than the url of a redirected response.
+ * @param {Response} response
+ * @param {DownloadProgressCallback} onProgress
+ */
+async function readBodyWithProgress(url, response, onProgress) {
+	const contentLength = response.headers.get("content-length");
+	const totalBytes = contentLength ? parseInt(contentLength, 10) : null;
+	/** @type {Uint8Array[]} */
+	const chunks = [];
+	let loadedBytes = 0;
+	if (response.body) {
+		for await (const chunk of response.body) {
+			chunks.push(chunk);
+			loadedBytes += chunk.length;
+			onProgress(url, loadedBytes, totalBytes);
+		}
+	}
+	const body = new Uint8Array(loadedBytes);
+	let offset = 0;
+	for (const chunk of chunks) {
+		body.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return body;
+}
+
+/**
+ * Makes a request and reads the full body before the timeout expires. This way a server that stalls halfway
+ * through a response times out as well. The returned response contains the buffered body.
+ * @param {string | URL} input
+ * @param {RequestInit | undefined} init
+ * @param {number} timeout The timeout in milliseconds, 0 disables the timeout.
+ * @param {DownloadProgressCallback?} onProgress
+ */
+async function fetchWithTimeout(input, init, timeout, onProgress) {
+	const abortController = new AbortController();
+	let timeoutId = null;
+	if (timeout > 0) {
+		timeoutId = setTimeout(() => {
+			abortController.abort(new Error(`The request to ${input} timed out after ${timeout}ms.`));
+		}, timeout);
+	}
+	try {
+		const response = await fetch(input, { ...init, signal: abortController.signal });
+		const body = onProgress
+			? await readBodyWithProgress(String(input), response, onProgress)
+			: await response.arrayBuffer();
+		const nullBodyStatuses = [101, 204, 205, 304];
+		const bufferedResponse = new Response(nullBodyStatuses.includes(response.status) ? null : body, {
+			status: response.status,
+			statusText: response.statusText,
+			headers: response.headers,
+		});
+		// The url is used for resolving relative urls in headers, so we keep it from the original response.
+		Object.defineProperty(bufferedResponse, "url", { value: response.url });
+		return bufferedResponse;
+	} finally {
+		if (timeoutId != null) clearTimeout(timeoutId);
+	}
+}
+
+/**
+ * Creates a fetch function that aborts requests taking longer than `timeout` milliseconds, and retries failed
+ * requests with an exponential backoff. Requests are retried on network errors, timeouts and responses with a
+ * status code that indicates a temporary problem. At most `concurrency` requests are made at the same time, requests
+ * that are waiting to be retried don't count towards this.
+ * @param {Object} options
+ * @param {number} options.concurrency
+ * @param {number} options.timeout
+ * @param {number} options.retries
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {DownloadProgressCallback?} [options.onProgress] Called while the body of a response is downloaded.
+ * @returns {Fetcher}
+ */
+export function createFetcher({ concurrency, timeout, retries, logger, onProgress = null }) {
+	const limit = createLimiter(concurrency);
+	return async (input, init) => {
+		for (let attempt = 0;; attempt++) {
+			const canRetry = attempt < retries;
+			const retryDelay = initialRetryDelay * 2 ** attempt;
+			let response;
+			try {
+				response = await limit(() => fetchWithTimeout(input, init, timeout, onProgress));
+			} catch (e) {
+				if (!canRetry) throw e;
+				logger.debug(`Request to ${input} failed, retrying in ${retryDelay}ms: ${e}`);
+				await delay(retryDelay);
+				continue;
+			}
+			if (canRetry && retryableStatuses.includes(response.status)) {
+				logger.debug(`Request to ${input} responded with ${response.status}, retrying in ${retryDelay}ms`);
+				await delay(retryDelay);
+				continue;
+			}
+			return response;
+		}
+	};
+}
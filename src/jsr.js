@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Utilities for downloading packages from the JSR registry.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import { maxSatisfying } from "https://deno.land/std@0.167.0/semver/mod.ts";
+import { readDirRecursive } from "./common.js";
+import { createDeduplicator } from "./fetching.js";
+import { modifyVendoredFiles } from "./modifyVendoredFiles.js";
+import { parseNpmSpecifier, resolvePackageExports } from "./npmTypes.js";
+import { parseFilePathAst } from "./parseFileAst.js";
+
+/**
+ * The extensions of files that are downloaded from a package. Other files, such as readmes, are not needed for types.
+ */
+const jsrFileExtensions = [".ts", ".mts", ".tsx", ".js", ".mjs", ".jsx", ".json"];
+
+/**
+ * The data of a specific version of a package, as stored in the `<version>_meta.json` file of the registry.
+ * @typedef JsrVersionMeta
+ * @property {Object.<string, {size?: number, checksum?: string}>} manifest Maps the paths of all files in the
+ * package, starting with a slash, to their metadata.
+ * @property {Object.<string, unknown>} [exports]
+ */
+
+/**
+ * @typedef ResolvedJsrPackage
+ * @property {string} packageName
+ * @property {string} version
+ * @property {JsrVersionMeta} versionMeta
+ */
+
+/**
+ * Splits a jsr specifier such as `jsr:@std/path@1/posix` into its parts.
+ * The format of jsr specifiers is the same as that of npm specifiers.
+ * @param {string} specifier
+ */
+export function parseJsrSpecifier(specifier) {
+	return parseNpmSpecifier(specifier.startsWith("jsr:") ? specifier.slice("jsr:".length) : specifier);
+}
+
+/**
+ * @param {URL} url
+ * @param {import("./fetching.js").Fetcher} fetcher
+ */
+async function fetchJson(url, fetcher) {
+	const response = await fetcher(url);
+	if (!response.ok) {
+		await response.body?.cancel();
+		throw new Error(`Failed to fetch ${url.href}: ${response.status}`);
+	}
+	return await response.json();
+}
+
+/**
+ * @param {string} registry
+ */
+function getRegistryUrl(registry) {
+	return new URL(registry.endsWith("/") ? registry : registry + "/");
+}
+
+/**
+ * Fetches the meta.json of a package to find the version that best matches the range,
+ * and then fetches the manifest and exports of that version.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.packageName
+ * @param {string} options.versionRange A semver range, an empty string resolves to the latest version.
+ * @param {import("./fetching.js").Fetcher} [options.fetcher] Used for making requests, defaults to the global fetch.
+ * @returns {Promise<ResolvedJsrPackage>}
+ */
+export async function resolveJsrPackage({ registry, packageName, versionRange, fetcher = fetch }) {
+	if (!packageName.startsWith("@") || !packageName.includes("/")) {
+		throw new Error(`"${packageName}" is not a valid jsr package name, jsr packages are always scoped.`);
+	}
+	const registryUrl = getRegistryUrl(registry);
+	/** @type {{latest?: string, versions?: Object.<string, {yanked?: boolean}>}} */
+	const meta = await fetchJson(new URL(`${packageName}/meta.json`, registryUrl), fetcher);
+	const versions = Object.entries(meta.versions || {})
+		.filter(([, versionData]) => !versionData.yanked)
+		.map(([version]) => version);
+
+	let version;
+	if (!versionRange || versionRange == "latest") {
+		version = meta.latest || maxSatisfying(versions, "*");
+	} else {
+		version = maxSatisfying(versions, versionRange);
+	}
+	if (!version) {
+		throw new Error(`No version of "${packageName}" matches "${versionRange}".`);
+	}
+
+	/** @type {JsrVersionMeta} */
+	const versionMeta = await fetchJson(new URL(`${packageName}/${version}_meta.json`, registryUrl), fetcher);
+	return { packageName, version, versionMeta };
+}
+
+/**
+ * Downloads the module files of a package version into a directory.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {ResolvedJsrPackage} options.jsrPackage
+ * @param {string} options.destinationDir
+ * @param {import("./fetching.js").Fetcher} [options.fetcher] Used for making requests, defaults to the global fetch.
+ * @returns {Promise<string[]>} The absolute paths of the downloaded files.
+ */
+export async function downloadJsrPackageFiles({ registry, jsrPackage, destinationDir, fetcher = fetch }) {
+	const registryUrl = getRegistryUrl(registry);
+	const { packageName, version, versionMeta } = jsrPackage;
+	/** @type {Promise<string>[]} */
+	const downloadPromises = [];
+	for (const manifestPath of Object.keys(versionMeta.manifest || {})) {
+		if (!jsrFileExtensions.some((extension) => manifestPath.endsWith(extension))) continue;
+		const destinationPath = path.resolve(destinationDir, "." + manifestPath);
+		if (!destinationPath.startsWith(destinationDir + path.SEP)) continue;
+
+		const url = new URL(`${packageName}/${version}${manifestPath}`, registryUrl);
+		downloadPromises.push((async () => {
+			const response = await fetcher(url);
+			if (!response.ok) {
+				await response.body?.cancel();
+				throw new Error(`Failed to download ${url.href}: ${response.status}`);
+			}
+			await ensureDir(path.dirname(destinationPath));
+			await Deno.writeTextFile(destinationPath, await response.text());
+			return destinationPath;
+		})());
+	}
+	return await Promise.all(downloadPromises);
+}
+
+/**
+ * Returns the path of the module that a subpath of a package points to, or `null` when the subpath isn't exported.
+ * @param {string} packageDir
+ * @param {JsrVersionMeta} versionMeta
+ * @param {string} subpath The subpath as returned by `parseJsrSpecifier`.
+ */
+export function resolveJsrExport(packageDir, versionMeta, subpath) {
+	const target = resolvePackageExports(versionMeta.exports || {}, subpath ? "./" + subpath : ".");
+	if (!target) return null;
+	const filePath = path.resolve(packageDir, target);
+	if (!filePath.startsWith(packageDir + path.SEP)) return null;
+	return filePath;
+}
+
+/**
+ * Collects the `jsr:`, `npm:` and `node:` specifiers that are imported by the files of a downloaded package.
+ * Packages on jsr have the specifiers from their import map replaced with full specifiers upon publishing,
+ * so these are the dependencies of the package.
+ * @param {string} packageDir
+ */
+export async function getJsrDependencySpecifiers(packageDir) {
+	/** @type {Set<string>} */
+	const specifiers = new Set();
+	for await (const filePath of readDirRecursive(packageDir)) {
+		if (filePath.endsWith(".json")) continue;
+		const sourceFile = await parseFilePathAst(filePath);
+		if (!sourceFile) continue;
+		// Imports is marked as internal, see collectImports.js.
+		const castSourceFile =
+			/** @type {import("npm:typescript@4.7.4").SourceFile & {imports: readonly import("npm:typescript@4.7.4").StringLiteralLike[]}} */ (sourceFile);
+		for (const importLiteral of castSourceFile.imports) {
+			const specifier = importLiteral.text;
+			if (/^(jsr|npm|node):/.test(specifier)) specifiers.add(specifier);
+		}
+	}
+	return Array.from(specifiers);
+}
+
+/**
+ * Returns the `jsr:`, `npm:` and `node:` specifiers that the jsr packages of the provided specifiers depend on,
+ * recursively.
+ * @param {Iterable<string>} resolvedSpecifiers
+ * @param {Object.<string, string[]>} jsrDependencies Maps resolved jsr specifiers to the specifiers their package
+ * imports, as stored in the cache file.
+ */
+export function getJsrDependencyClosure(resolvedSpecifiers, jsrDependencies) {
+	/** @type {Set<string>} */
+	const dependencySpecifiers = new Set();
+	const queue = Array.from(resolvedSpecifiers);
+	while (queue.length > 0) {
+		const resolvedSpecifier = queue.shift();
+		if (!resolvedSpecifier) continue;
+		for (const specifier of jsrDependencies[resolvedSpecifier] || []) {
+			if (dependencySpecifiers.has(specifier)) continue;
+			dependencySpecifiers.add(specifier);
+			queue.push(new URL(specifier).href);
+		}
+	}
+	return dependencySpecifiers;
+}
+
+/**
+ * The locations of downloaded jsr packages, as stored in the cache file. Paths are relative to the output directory.
+ * @typedef JsrCacheData
+ * @property {Object.<string, string?>} jsrTypes
+ * @property {Object.<string, string>} jsrPackages
+ * @property {Object.<string, string[]>} jsrDependencies
+ */
+
+/**
+ * Creates a function that downloads the package of a jsr specifier and finds the module for the imported subpath.
+ * Packages are downloaded into the jsrTypes directory of the output directory, and only once per run.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.outputDirPath The absolute path of the output directory.
+ * @param {Partial<JsrCacheData>} options.cacheData The locations from previous runs.
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {(event: import("./events.js").GenerateTypesEvent) => void} options.emitEvent
+ */
+export function createJsrTypesFetcher({ registry, outputDirPath, cacheData, fetcher, logger, emitEvent }) {
+	/**
+	 * Maps resolved jsr specifiers to the absolute path of the module they point to,
+	 * or `null` when the package doesn't export the subpath.
+	 * @type {Map<string, string?>}
+	 */
+	const typesPaths = new Map();
+	for (const [specifier, relativePath] of Object.entries(cacheData.jsrTypes || {})) {
+		typesPaths.set(specifier, relativePath ? path.resolve(outputDirPath, relativePath) : null);
+	}
+
+	/**
+	 * Maps resolved jsr specifiers to the absolute path of the directory that their package was downloaded to.
+	 * @type {Map<string, string>}
+	 */
+	const packageDirs = new Map();
+	for (const [specifier, relativePath] of Object.entries(cacheData.jsrPackages || {})) {
+		packageDirs.set(specifier, path.resolve(outputDirPath, relativePath));
+	}
+
+	/**
+	 * Maps resolved jsr specifiers to the `jsr:`, `npm:` and `node:` specifiers that their package imports.
+	 * @type {Map<string, string[]>}
+	 */
+	const dependencies = new Map(Object.entries(cacheData.jsrDependencies || {}));
+
+	// Downloads of jsr packages that were started during this run, keyed by the package name and version range.
+	const dedupeDownload = createDeduplicator();
+	// Different version ranges can resolve to the same version, this makes sure that two parallel downloads don't
+	// write to the same directory.
+	const dedupePackageDirWrite = createDeduplicator();
+
+	/**
+	 * Downloads the files of a jsr package and modifies them so that they work with tsc.
+	 * The version meta file is written next to the package directory once all files have been downloaded,
+	 * packages for which it exists are not downloaded again.
+	 * @param {string} packageName
+	 * @param {string} versionRange
+	 */
+	async function downloadJsrPackage(packageName, versionRange) {
+		const jsrPackage = await resolveJsrPackage({ registry, packageName, versionRange, fetcher });
+		const packageDir = path.resolve(outputDirPath, "jsrTypes", packageName, jsrPackage.version);
+		const versionMetaPath = packageDir + "_meta.json";
+		await dedupePackageDirWrite(packageDir, async () => {
+			try {
+				await Deno.stat(versionMetaPath);
+				return;
+			} catch (e) {
+				if (!(e instanceof Deno.errors.NotFound)) throw e;
+			}
+
+			logger.debug(`Downloading ${packageName}@${jsrPackage.version}`);
+			const filePaths = await downloadJsrPackageFiles({
+				registry,
+				jsrPackage,
+				destinationDir: packageDir,
+				fetcher,
+			});
+			const jsrSpecifier = `jsr:${packageName}@${jsrPackage.version}`;
+			emitEvent({ type: "modifyVendoredFilesStart", specifier: jsrSpecifier, fileCount: filePaths.length });
+			await modifyVendoredFiles({
+				logger,
+				filePaths,
+				// Relative imports are rewritten so that their .ts extension is replaced. Jsr and npm specifiers are
+				// kept as is, these get their own entries in the paths of the generated tsconfig.
+				resolveModuleSpecifier(baseUrl, moduleSpecifier) {
+					if (!moduleSpecifier.startsWith(".") && !moduleSpecifier.startsWith("/")) return null;
+					return new URL(moduleSpecifier, baseUrl);
+				},
+			});
+			emitEvent({ type: "modifyVendoredFilesEnd", specifier: jsrSpecifier });
+			await Deno.writeTextFile(versionMetaPath, JSON.stringify(jsrPackage.versionMeta, null, "\t"));
+		});
+		return { packageDir, versionMeta: jsrPackage.versionMeta };
+	}
+
+	return {
+		typesPaths,
+		packageDirs,
+		dependencies,
+		/**
+		 * Downloads the package of a jsr specifier and finds the module for the imported subpath.
+		 * Returns the `jsr:` and `npm:` specifiers that the package depends on.
+		 * @param {string} resolvedSpecifier
+		 */
+		async fetchJsrTypes(resolvedSpecifier) {
+			const { packageName, version: versionRange, subpath } = parseJsrSpecifier(resolvedSpecifier);
+			const { packageDir, versionMeta } = await dedupeDownload(`${packageName}@${versionRange}`, () => {
+				return downloadJsrPackage(packageName, versionRange);
+			});
+			packageDirs.set(resolvedSpecifier, packageDir);
+
+			const typesPath = resolveJsrExport(packageDir, versionMeta, subpath);
+			typesPaths.set(resolvedSpecifier, typesPath);
+			if (!typesPath) {
+				logger.warning(
+					`"${resolvedSpecifier}" could not be resolved, the package doesn't export "${subpath || "."}".`,
+				);
+			}
+
+			const dependencySpecifiers = await getJsrDependencySpecifiers(packageDir);
+			dependencies.set(resolvedSpecifier, dependencySpecifiers);
+			return dependencySpecifiers;
+		},
+		/**
+		 * Returns the locations of the packages so far, in the format of the cache file.
+		 * @returns {JsrCacheData}
+		 */
+		getCacheData() {
+			/** @type {Object.<string, string?>} */
+			const jsrTypes = {};
+			for (const [specifier, filePath] of typesPaths) {
+				jsrTypes[specifier] = filePath ? path.relative(outputDirPath, filePath) : null;
+			}
+			/** @type {Object.<string, string>} */
+			const jsrPackages = {};
+			for (const [specifier, dirPath] of packageDirs) {
+				jsrPackages[specifier] = path.relative(outputDirPath, dirPath);
+			}
+			return { jsrTypes, jsrPackages, jsrDependencies: Object.fromEntries(dependencies) };
+		},
+	};
+}
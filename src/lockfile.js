@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Utilities for reading and writing the integrity hashes of a deno.lock file, so that downloaded files
+ * can be verified against the ones that Deno runs.
+ */
+
+/**
+ * The maximum amount of redirects that are followed when looking up the hash of a url.
+ */
+const maxRedirects = 10;
+
+/**
+ * Maps the algorithms that are used in the integrity of npm packages to their name in the Web Crypto API.
+ * @type {Object.<string, string>}
+ */
+const integrityAlgorithms = {
+	sha1: "SHA-1",
+	sha256: "SHA-256",
+	sha384: "SHA-384",
+	sha512: "SHA-512",
+};
+
+/**
+ * @typedef DenoLock
+ * @property {Map<string, string>} remote Maps urls of remote modules to the sha256 hash of their content.
+ * @property {Map<string, string>} redirects Maps redirected urls to the url they redirect to.
+ * @property {Map<string, string>} npm Maps `name@version` of npm packages to the integrity of their tarball,
+ * such as `sha512-...`.
+ */
+
+/**
+ * Thrown by `readDenoLock` when the lockfile uses a version of the format that can't be read.
+ */
+export class UnsupportedLockfileVersionError extends Error {
+	/**
+	 * @param {string} filePath
+	 * @param {unknown} version
+	 */
+	constructor(filePath, version) {
+		super(`The lockfile at "${filePath}" has version ${version}, only versions 2 and 3 are supported.`);
+		this.name = "UnsupportedLockfileVersionError";
+	}
+}
+
+/**
+ * Reads a deno.lock file, returns `null` when it doesn't exist. Version 2 and 3 of the format are supported,
+ * an `UnsupportedLockfileVersionError` is thrown for other versions.
+ * @param {string} filePath
+ * @returns {Promise<DenoLock?>}
+ */
+export async function readDenoLock(filePath) {
+	let text;
+	try {
+		text = await Deno.readTextFile(filePath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new Error(`Failed to parse the lockfile at "${filePath}".`);
+	}
+
+	/** @type {Object.<string, {integrity?: string}>} */
+	let npmPackages = {};
+	if (data.version == "2") {
+		npmPackages = data.npm?.packages || {};
+	} else if (data.version == "3") {
+		npmPackages = data.packages?.npm || {};
+	} else {
+		throw new UnsupportedLockfileVersionError(filePath, data.version);
+	}
+	/** @type {Map<string, string>} */
+	const npm = new Map();
+	for (const [nameAndVersion, { integrity }] of Object.entries(npmPackages)) {
+		if (integrity) npm.set(nameAndVersion, integrity);
+	}
+	return {
+		remote: new Map(Object.entries(data.remote || {})),
+		redirects: new Map(Object.entries(data.redirects || {})),
+		npm,
+	};
+}
+
+/**
+ * Returns the hash of a remote module from the lockfile, following the redirects that are stored in it.
+ * Returns `null` when the url isn't locked.
+ * @param {DenoLock} denoLock
+ * @param {string} url
+ */
+export function getLockedRemoteHash(denoLock, url) {
+	let currentUrl = url;
+	for (let i = 0; i <= maxRedirects; i++) {
+		const hash = denoLock.remote.get(currentUrl);
+		if (hash) return hash;
+		const redirect = denoLock.redirects.get(currentUrl);
+		if (!redirect) return null;
+		currentUrl = new URL(redirect, currentUrl).href;
+	}
+	return null;
+}
+
+/**
+ * Returns the sha256 hash of some data as a hex string, which is the format Deno uses for remote modules.
+ * @param {Uint8Array} bytes
+ */
+export async function getSha256Hex(bytes) {
+	const hashBuffer = await crypto.subtle.digest("SHA-256", bytes);
+	return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Checks whether data matches an integrity string such as `sha512-<base64 hash>`, as found in npm registries.
+ * Integrity strings with an unsupported algorithm are treated as matching, since they can't be verified.
+ * @param {string} integrity
+ * @param {Uint8Array} bytes
+ */
+export async function matchesIntegrity(integrity, bytes) {
+	const dashIndex = integrity.indexOf("-");
+	const algorithm = integrityAlgorithms[integrity.slice(0, dashIndex)];
+	if (!algorithm) return true;
+	const hashBuffer = await crypto.subtle.digest(algorithm, bytes);
+	const base64 = btoa(String.fromCharCode(...new Uint8Array(hashBuffer)));
+	return base64 == integrity.slice(dashIndex + 1);
+}
+
+/**
+ * Sorts the keys of an object, Deno keeps the entries of a lockfile sorted so we do the same to keep diffs small.
+ * @param {Object.<string, string>} entries
+ */
+function sortEntries(entries) {
+	return Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Adds the hashes of remote modules to the `remote` section of a lockfile, and the redirects that were followed to
+ * its `redirects` section. The lockfile is created when it doesn't exist yet, using version 3 of the format.
+ * @param {string} filePath
+ * @param {Map<string, string>} hashes Maps urls to the sha256 hash of their content.
+ * @param {Map<string, string>} [redirects] Maps redirected urls to the url they redirect to.
+ */
+export async function addRemoteLockEntries(filePath, hashes, redirects = new Map()) {
+	let data;
+	try {
+		data = JSON.parse(await Deno.readTextFile(filePath));
+	} catch (e) {
+		if (!(e instanceof Deno.errors.NotFound)) throw e;
+		data = { version: "3", remote: {} };
+	}
+	/** @type {Object.<string, string>} */
+	const remote = { ...data.remote };
+	for (const [url, hash] of hashes) {
+		remote[url] = hash;
+	}
+	data.remote = sortEntries(remote);
+	if (redirects.size > 0) {
+		data.redirects = sortEntries({ ...data.redirects, ...Object.fromEntries(redirects) });
+	}
+	await Deno.writeTextFile(filePath, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * Reads the lockfile and creates functions for verifying downloaded files against it. Files that aren't in the
+ * lockfile yet are collected, so that `finish` can add them to it when `writeLock` is set.
+ * @param {Object} options
+ * @param {string?} options.lockFilePath The absolute path of the lockfile, or `null` when there is none.
+ * @param {"fail" | "warn" | false} options.lock
+ * @param {boolean} options.writeLock
+ * @param {import("./logging.js").Logger} options.logger
+ */
+export async function createLockfileVerifier({ lockFilePath, lock, writeLock, logger }) {
+	/** @type {DenoLock?} */
+	let denoLock = null;
+	/** Whether the lockfile exists but couldn't be read, in which case nothing should be written to it. */
+	let hasUnsupportedLockfile = false;
+	if (lockFilePath) {
+		try {
+			denoLock = await readDenoLock(lockFilePath);
+		} catch (e) {
+			// A lockfile that was written by a newer Deno only breaks the run when verification is required.
+			if (!(e instanceof UnsupportedLockfileVersionError) || lock == "fail") throw e;
+			logger.warning(`${e.message} Files are not verified against the lockfile.`);
+			hasUnsupportedLockfile = true;
+		}
+	}
+	if (!denoLock && !hasUnsupportedLockfile && lockFilePath && writeLock) {
+		denoLock = { remote: new Map(), redirects: new Map(), npm: new Map() };
+	}
+	/**
+	 * The hashes of remote files that were downloaded during this run but aren't in the lockfile.
+	 * @type {Map<string, string>}
+	 */
+	const newLockEntries = new Map();
+	/**
+	 * The redirects that were followed during this run but aren't in the lockfile, these are stored separately
+	 * from the hashes just like Deno does.
+	 * @type {Map<string, string>}
+	 */
+	const newLockRedirects = new Map();
+	/**
+	 * The files that didn't match their hash in the lockfile, only used when `lock` is "fail".
+	 * @type {string[]}
+	 */
+	const integrityMismatches = [];
+
+	/**
+	 * @param {string} description
+	 */
+	function reportIntegrityMismatch(description) {
+		// The lockfile can also be read only to add new entries to it.
+		if (!lock) return;
+		const message = `The integrity of ${description} doesn't match the hash in the lockfile at "${lockFilePath}".`;
+		if (lock == "fail") {
+			integrityMismatches.push(description);
+			throw new Error(message);
+		}
+		logger.warning(message);
+	}
+
+	return {
+		/**
+		 * Checks the content of a downloaded remote file against its hash in the lockfile. Redirected files are
+		 * checked using the url they were redirected to.
+		 * @param {string} url The requested url.
+		 * @param {string} finalUrl The url of the response, which differs from `url` when the request was redirected.
+		 * @param {Uint8Array} bytes
+		 */
+		async verifyRemoteIntegrity(url, finalUrl, bytes) {
+			if (!denoLock) return;
+			if (finalUrl != url && !denoLock.redirects.has(url)) newLockRedirects.set(url, finalUrl);
+			const hash = await getSha256Hex(bytes);
+			const lockedHash = getLockedRemoteHash(denoLock, finalUrl);
+			if (!lockedHash) {
+				newLockEntries.set(finalUrl, hash);
+			} else if (lockedHash != hash) {
+				reportIntegrityMismatch(finalUrl);
+			}
+		},
+		/**
+		 * Checks a downloaded npm tarball against its integrity in the lockfile.
+		 * @param {import("./npm.js").NpmPackageVersionData} packageData
+		 * @param {Uint8Array} tarball
+		 */
+		async verifyNpmIntegrity(packageData, tarball) {
+			const packageNameAndVersion = `${packageData.name}@${packageData.version}`;
+			const integrity = denoLock?.npm.get(packageNameAndVersion);
+			if (integrity && !await matchesIntegrity(integrity, tarball)) {
+				reportIntegrityMismatch(`npm:${packageNameAndVersion}`);
+			}
+		},
+		/**
+		 * Whether any file didn't match its hash in the lockfile so far.
+		 */
+		hasIntegrityMismatches() {
+			return integrityMismatches.length > 0;
+		},
+		/**
+		 * Throws an error listing every file that didn't match its hash, or adds the new entries to the lockfile
+		 * when `writeLock` is set.
+		 */
+		async finish() {
+			if (integrityMismatches.length > 0) {
+				const list = integrityMismatches.map((description) => `  ${description}`).join("\n");
+				throw new Error(
+					`The following files don't match the hashes in the lockfile at "${lockFilePath}":\n${list}`,
+				);
+			}
+			if (writeLock && lockFilePath && (newLockEntries.size > 0 || newLockRedirects.size > 0)) {
+				logger.info(`Adding ${newLockEntries.size + newLockRedirects.size} new entries to ${lockFilePath}`);
+				await addRemoteLockEntries(lockFilePath, newLockEntries, newLockRedirects);
+			}
+		},
+	};
+}
@@ -1,7 +1,6 @@
 import { fromFileUrl, toFileUrl } from "https://deno.land/std@0.145.0/path/mod.ts";
 import ts from "npm:typescript@4.7.4";
-import { parseFileAst } from "./parseFileAst.js";
-import { readDirRecursive } from "./common.js";
+import { getTypesComment, parseFileAst } from "./parseFileAst.js";
 import { Logger } from "./logging.js";
 
 /**
@@ -11,15 +10,23 @@ import { Logger } from "./logging.js";
  */
 const modifiedComment = "// tsc_" + "helper_modified";
 
+/**
+ * @typedef CollectedDtsFile
+ * @property {string} denoTypesUrl The url containing types that should be fetched and placed at the `moduleSpecifier`.
+ * @property {string} vendorFilePath The file that imported the `moduleSpecifier`.
+ * @property {string?} moduleSpecifier The module specifier that was imported for which the `dtsUrl` types should be fetched and placed at.
+ * This is `null` when the types belong to `vendorFilePath` itself, i.e. when they come from a
+ * `/// <reference types>` directive or an `X-TypeScript-Types` header. The `denoTypesUrl` is then relative to the
+ * remote url of the vendored file.
+ */
+
 /**
  * @param {Object} options
  * @param {Logger} options.logger
- * @param {string} options.vendorOutputPath
+ * @param {string[]} options.filePaths The vendored files to modify. Files that have been modified before are skipped.
  * @param {(baseUrl: URL, moduleSpecifier: string) => URL | null} options.resolveModuleSpecifier
  */
-export async function modifyVendoredFiles({ logger, vendorOutputPath, resolveModuleSpecifier }) {
-	logger.info("Modifying vendored files");
-
+export async function modifyVendoredFiles({ logger, filePaths, resolveModuleSpecifier }) {
 	/**
 	 * A transformer that does several things to fix up the vendored files:
 	 * - rewrites all external imports to other vendored files using the import maps.
@@ -54,7 +61,10 @@ export async function modifyVendoredFiles({ logger, vendorOutputPath, resolveMod
 							// Either way, TypeScript doesn't seem to have support for resolving file:// specifiers.
 							newSpecifier = fromFileUrl(resolvedUrl.href);
 						}
-						if (newSpecifier && newSpecifier.endsWith(".ts")) {
+						// Vendored files can be replaced with declaration files, which can't be imported directly.
+						if (newSpecifier && newSpecifier.endsWith(".d.ts")) {
+							newSpecifier = newSpecifier.slice(0, -5) + ".js";
+						} else if (newSpecifier && newSpecifier.endsWith(".ts")) {
 							newSpecifier = newSpecifier.slice(0, -3) + ".js";
 						}
 						if (newSpecifier) {
@@ -70,25 +80,11 @@ export async function modifyVendoredFiles({ logger, vendorOutputPath, resolveMod
 		};
 	};
 
-	const denoTypesRegex = /\/\/\s*@deno-types\s*=\s*"(?<url>.*)"/;
 	const printer = ts.createPrinter();
 
-	/**
-	 * @typedef CollectedDtsFile
-	 * @property {string} denoTypesUrl The url containing types that should be fetched and placed at the `moduleSpecifier`.
-	 * @property {string} vendorFilePath The file that imported the `moduleSpecifier`.
-	 * @property {string} moduleSpecifier The module specifier that was imported for which the `dtsUrl` types should be fetched and placed at.
-	 */
-
 	/** @type {CollectedDtsFile[]} */
 	const collectedDtsFiles = [];
 
-	// readDirRecursive seems to skip some entries when you modify files as you are iterating over them.
-	// So we'll store all paths in an array before making our modifications.
-	const filePaths = [];
-	for await (const filePath of readDirRecursive(vendorOutputPath)) {
-		filePaths.push(filePath);
-	}
 	for (const filePath of filePaths) {
 		const fileContent = await Deno.readTextFile(filePath);
 
@@ -103,29 +99,33 @@ export async function modifyVendoredFiles({ logger, vendorOutputPath, resolveMod
 		logger.debug(`Modifying ${filePath}`);
 
 		const ast = parseFileAst(fileContent, filePath, (node, { sourceFile }) => {
-			// Collect imports/exports with a deno-types comment
+			// Collect imports/exports with a deno-types or ts-types comment
 			if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier) {
-				const commentRanges = ts.getLeadingCommentRanges(sourceFile.text, node.pos);
-				if (commentRanges && commentRanges.length > 0) {
-					const lastRange = commentRanges.at(-1);
-					if (lastRange) {
-						const comment = sourceFile.text.substring(lastRange.pos, lastRange.end);
-						const match = denoTypesRegex.exec(comment);
-						if (match?.groups?.url) {
-							if (ts.isStringLiteral(node.moduleSpecifier)) {
-								collectedDtsFiles.push({
-									denoTypesUrl: match.groups.url,
-									vendorFilePath: filePath,
-									moduleSpecifier: node.moduleSpecifier.text,
-								});
-							}
-						}
-					}
+				const denoTypesUrl = getTypesComment(node, sourceFile);
+				if (denoTypesUrl && ts.isStringLiteral(node.moduleSpecifier)) {
+					collectedDtsFiles.push({
+						denoTypesUrl,
+						vendorFilePath: filePath,
+						moduleSpecifier: node.moduleSpecifier.text,
+					});
 				}
 			}
 		});
 		if (!ast) continue;
 
+		// A JavaScript file can point to its own types with a reference directive, which Deno treats
+		// the same as an X-TypeScript-Types header.
+		const castAst = /** @type {typeof ast & {scriptKind: ts.ScriptKind}} */ (ast);
+		const selfTypesScriptKinds = [ts.ScriptKind.JS, ts.ScriptKind.JSX];
+		const selfTypesReference = ast.typeReferenceDirectives[0];
+		if (selfTypesReference && selfTypesScriptKinds.includes(castAst.scriptKind)) {
+			collectedDtsFiles.push({
+				denoTypesUrl: selfTypesReference.fileName,
+				vendorFilePath: filePath,
+				moduleSpecifier: null,
+			});
+		}
+
 		const transformationResult = ts.transform(ast, [transformer]);
 		let modified = printer.printNode(
 			ts.EmitHint.Unspecified,
@@ -149,7 +149,6 @@ export async function modifyVendoredFiles({ logger, vendorOutputPath, resolveMod
 		lines.splice(scriptStart, 0, modifiedComment);
 
 		// Add ts-nocheck to suppress type errors for vendored files
-		const castAst = /** @type {typeof ast & {scriptKind: ts.ScriptKind}} */ (ast);
 		const tsNocheckScriptKinds = [
 			ts.ScriptKind.JS,
 			ts.ScriptKind.JSX,
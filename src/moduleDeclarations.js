@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Utilities for generating declaration files for modules that aren't JavaScript or TypeScript,
+ * such as JSON, text and Wasm modules. Deno infers the types of these modules itself, but tsc needs a declaration
+ * file for them.
+ */
+
+/**
+ * @typedef {"json" | "text" | "bytes" | "wasm"} NonScriptModuleType
+ */
+
+/**
+ * The module types that can be imported using the `type` import attribute.
+ */
+const attributeModuleTypes = ["json", "text", "bytes"];
+
+/**
+ * Determines what kind of module a remote import points to. Returns `null` for JavaScript and TypeScript modules.
+ * @param {URL} resolvedSpecifier
+ * @param {string?} [attributeType] The `type` from the import attributes of the import.
+ * @returns {NonScriptModuleType?}
+ */
+export function getNonScriptModuleType(resolvedSpecifier, attributeType) {
+	if (attributeType && attributeModuleTypes.includes(attributeType)) {
+		return /** @type {NonScriptModuleType} */ (attributeType);
+	}
+	if (resolvedSpecifier.pathname.endsWith(".wasm")) return "wasm";
+	return null;
+}
+
+/**
+ * Returns the `type` import attribute that a module is imported with, if any.
+ * @param {import("./collectImports.js").RemoteImportData[]} importDatas All imports of the same module.
+ */
+export function getAttributeType(importDatas) {
+	return importDatas.find((importData) => importData.attributeType)?.attributeType || null;
+}
+
+/**
+ * Creates a TypeScript type that describes the shape of a JSON value, similar to what tsc infers with
+ * `resolveJsonModule`.
+ * @param {unknown} value
+ * @param {string} indentation
+ * @returns {string}
+ */
+function getJsonType(value, indentation) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) {
+		const elementTypes = new Set(value.map((element) => getJsonType(element, indentation)));
+		if (elementTypes.size == 0) return "unknown[]";
+		if (elementTypes.size == 1) return `${elementTypes.values().next().value}[]`;
+		return `(${Array.from(elementTypes).join(" | ")})[]`;
+	}
+	if (typeof value == "object") {
+		const entries = Object.entries(/** @type {Object.<string, unknown>} */ (value));
+		if (entries.length == 0) return "{}";
+		const innerIndentation = indentation + "\t";
+		let type = "{\n";
+		for (const [key, propertyValue] of entries) {
+			type += `${innerIndentation}${JSON.stringify(key)}: ${getJsonType(propertyValue, innerIndentation)};\n`;
+		}
+		type += `${indentation}}`;
+		return type;
+	}
+	if (typeof value == "string") return "string";
+	if (typeof value == "number") return "number";
+	if (typeof value == "boolean") return "boolean";
+	return "unknown";
+}
+
+/**
+ * Creates the contents of a declaration file for a JSON module.
+ * @param {string} jsonText
+ */
+export function createJsonDeclaration(jsonText) {
+	const type = getJsonType(JSON.parse(jsonText), "");
+	return `declare const data: ${type};\nexport default data;\n`;
+}
+
+/**
+ * Creates the contents of a declaration file for a module imported with `type: "text"` or `type: "bytes"`.
+ * @param {"text" | "bytes"} moduleType
+ */
+export function createAttributeModuleDeclaration(moduleType) {
+	const type = moduleType == "text" ? "string" : "Uint8Array";
+	return `declare const data: ${type};\nexport default data;\n`;
+}
+
+/**
+ * Maps Wasm value types to the TypeScript type that they are converted to in JavaScript.
+ * @type {Object.<number, string>}
+ */
+const wasmValueTypes = {
+	0x7f: "number", // i32
+	0x7e: "bigint", // i64
+	0x7d: "number", // f32
+	0x7c: "number", // f64
+	0x7b: "unknown", // v128
+	0x70: "Function | null", // funcref
+	0x6f: "unknown", // externref
+};
+
+/**
+ * Creates the contents of a declaration file for a Wasm module, based on the exports in its export section.
+ * Functions get the parameter and result types from their signature, memories, tables and globals get their
+ * corresponding `WebAssembly` type.
+ * @param {Uint8Array} bytes
+ */
+export function createWasmDeclaration(bytes) {
+	let offset = 0;
+	function readByte() {
+		if (offset >= bytes.length) throw new Error("Unexpected end of the Wasm module.");
+		return bytes[offset++];
+	}
+	/**
+	 * Reads an unsigned LEB128 integer.
+	 */
+	function readU32() {
+		let result = 0;
+		let shift = 0;
+		while (true) {
+			const byte = readByte();
+			result |= (byte & 0x7f) << shift;
+			if ((byte & 0x80) == 0) break;
+			shift += 7;
+		}
+		return result >>> 0;
+	}
+	function readName() {
+		const length = readU32();
+		const nameBytes = bytes.subarray(offset, offset + length);
+		offset += length;
+		return new TextDecoder().decode(nameBytes);
+	}
+	function skipLimits() {
+		const flags = readByte();
+		readU32();
+		if (flags & 1) readU32();
+	}
+
+	const magic = [0x00, 0x61, 0x73, 0x6d];
+	for (const byte of magic) {
+		if (readByte() != byte) throw new Error("The file is not a Wasm module.");
+	}
+	// Skip the version
+	offset += 4;
+
+	/** @type {{params: number[], results: number[]}[]} */
+	const functionTypes = [];
+	/**
+	 * The type index of every function in the function index space, imported functions come first.
+	 * @type {number[]}
+	 */
+	const functionTypeIndices = [];
+	/** @type {{name: string, kind: number, index: number}[]} */
+	const exports = [];
+
+	while (offset < bytes.length) {
+		const sectionId = readByte();
+		const sectionSize = readU32();
+		const sectionEnd = offset + sectionSize;
+		if (sectionId == 1) {
+			const count = readU32();
+			for (let i = 0; i < count; i++) {
+				readByte(); // 0x60, the function type form
+				const params = [];
+				const paramCount = readU32();
+				for (let j = 0; j < paramCount; j++) params.push(readByte());
+				const results = [];
+				const resultCount = readU32();
+				for (let j = 0; j < resultCount; j++) results.push(readByte());
+				functionTypes.push({ params, results });
+			}
+		} else if (sectionId == 2) {
+			const count = readU32();
+			for (let i = 0; i < count; i++) {
+				readName();
+				readName();
+				const kind = readByte();
+				if (kind == 0) {
+					functionTypeIndices.push(readU32());
+				} else if (kind == 1) {
+					readByte();
+					skipLimits();
+				} else if (kind == 2) {
+					skipLimits();
+				} else if (kind == 3) {
+					readByte();
+					readByte();
+				}
+			}
+		} else if (sectionId == 3) {
+			const count = readU32();
+			for (let i = 0; i < count; i++) {
+				functionTypeIndices.push(readU32());
+			}
+		} else if (sectionId == 7) {
+			const count = readU32();
+			for (let i = 0; i < count; i++) {
+				const name = readName();
+				const kind = readByte();
+				const index = readU32();
+				exports.push({ name, kind, index });
+			}
+		}
+		offset = sectionEnd;
+	}
+
+	let declaration = "";
+	for (const { name, kind, index } of exports) {
+		// Export names that aren't identifiers can't be declared on the TypeScript versions we support.
+		if (!/^[A-Za-z_$][\w$]*$/.test(name)) continue;
+		if (kind == 0) {
+			const functionType = functionTypes[functionTypeIndices[index]];
+			if (!functionType) continue;
+			const params = functionType.params.map((type, i) => `arg${i}: ${wasmValueTypes[type] || "unknown"}`);
+			const resultTypes = functionType.results.map((type) => wasmValueTypes[type] || "unknown");
+			let returnType = "void";
+			if (resultTypes.length == 1) {
+				returnType = resultTypes[0];
+			} else if (resultTypes.length > 1) {
+				returnType = `[${resultTypes.join(", ")}]`;
+			}
+			declaration += `export declare function ${name}(${params.join(", ")}): ${returnType};\n`;
+		} else if (kind == 1) {
+			declaration += `export declare const ${name}: WebAssembly.Table;\n`;
+		} else if (kind == 2) {
+			declaration += `export declare const ${name}: WebAssembly.Memory;\n`;
+		} else if (kind == 3) {
+			declaration += `export declare const ${name}: WebAssembly.Global;\n`;
+		}
+	}
+	if (!declaration) declaration = "export {};\n";
+	return declaration;
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Utilities for providing types for `node:` imports using the @types/node package.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { getJsrDependencyClosure } from "./jsr.js";
+import { resolveNpmTypesPath } from "./npmTypes.js";
+
+/**
+ * The directory inside the @types directory that references the types from @types/node.
+ */
+export const nodeTypesTypeRootName = "deno-tsc-helper-node";
+
+/**
+ * The location of the @types/node package, as stored in the cache file. Paths are relative to the output directory.
+ * @typedef NodeTypesCacheData
+ * @property {string} versionRange
+ * @property {string} packageDir
+ * @property {string[]} dependencyDirs
+ */
+
+/**
+ * Returns true when any of the specifiers, or any of the dependencies of their jsr packages, is a `node:` specifier.
+ * @param {Iterable<string>} resolvedSpecifiers
+ * @param {Object.<string, string[]>} jsrDependencies
+ */
+export function usesNodeBuiltins(resolvedSpecifiers, jsrDependencies) {
+	const specifiers = [...resolvedSpecifiers, ...getJsrDependencyClosure(resolvedSpecifiers, jsrDependencies)];
+	return specifiers.some((specifier) => specifier.startsWith("node:"));
+}
+
+/**
+ * Downloads @types/node, unless the package from a previous run still exists, and creates a type root that
+ * references it. Returns the location of the package so that it can be stored in the cache file.
+ * @param {Object} options
+ * @param {string} options.versionRange The version of @types/node to use.
+ * @param {NodeTypesCacheData?} options.cacheData The location from a previous run.
+ * @param {string} options.outputDirPath The absolute path of the output directory.
+ * @param {string} options.typeRootsDirPath The absolute path of the @types directory.
+ * @param {string?} options.typescriptVersion The TypeScript version of the user, used for `typesVersions`.
+ * @param {import("./collectImports.js").RemoteImportData[]} options.remoteImports
+ * @param {(packageName: string, versionRange: string) => Promise<{packageDir: string, dependencyDirs: string[]}>} options.getNpmPackage
+ * @param {import("./logging.js").Logger} options.logger
+ * @returns {Promise<NodeTypesCacheData>}
+ */
+export async function writeNodeTypesTypeRoot({
+	versionRange,
+	cacheData,
+	outputDirPath,
+	typeRootsDirPath,
+	typescriptVersion,
+	remoteImports,
+	getNpmPackage,
+	logger,
+}) {
+	/** @type {NodeTypesCacheData?} */
+	let nodeTypesCacheData = null;
+	if (cacheData && cacheData.versionRange == versionRange) {
+		try {
+			await Deno.stat(path.resolve(outputDirPath, cacheData.packageDir, "package.json"));
+			nodeTypesCacheData = cacheData;
+		} catch (e) {
+			if (!(e instanceof Deno.errors.NotFound)) throw e;
+		}
+	}
+	if (!nodeTypesCacheData) {
+		logger.debug(`Fetching @types/node@${versionRange} for node: imports`);
+		const { packageDir, dependencyDirs } = await getNpmPackage("@types/node", versionRange);
+		nodeTypesCacheData = {
+			versionRange,
+			packageDir: path.relative(outputDirPath, packageDir),
+			dependencyDirs: dependencyDirs.map((dir) => path.relative(outputDirPath, dir)),
+		};
+	}
+	const nodeTypesDir = path.resolve(outputDirPath, nodeTypesCacheData.packageDir);
+
+	// @types/node declares modules for all built-in modules, both with and without the node: prefix.
+	// Import map entries that point to a built-in module get their own module that re-exports it.
+	const nodeTypesTypeRootPath = path.resolve(typeRootsDirPath, nodeTypesTypeRootName);
+	await Deno.mkdir(nodeTypesTypeRootPath, { recursive: true });
+	const nodeTypesEntryPath = await resolveNpmTypesPath({
+		packageDir: nodeTypesDir,
+		subpath: "",
+		typescriptVersion,
+	}) || path.resolve(nodeTypesDir, "index.d.ts");
+	const referencePath = path.relative(nodeTypesTypeRootPath, nodeTypesEntryPath).replaceAll(path.SEP, "/");
+	let nodeTypesContent = `/// <reference path="${referencePath}" />\n`;
+	/** @type {Set<string>} */
+	const aliases = new Set();
+	for (const { importSpecifier, resolvedSpecifier } of remoteImports) {
+		if (resolvedSpecifier.protocol != "node:") continue;
+		if (importSpecifier == resolvedSpecifier.href || importSpecifier == resolvedSpecifier.pathname) continue;
+		if (aliases.has(importSpecifier)) continue;
+		aliases.add(importSpecifier);
+		nodeTypesContent += `declare module "${importSpecifier}" {\n`;
+		nodeTypesContent += `\timport m = require("${resolvedSpecifier.href}");\n`;
+		nodeTypesContent += `\texport = m;\n`;
+		nodeTypesContent += `}\n`;
+	}
+	await Deno.writeTextFile(path.resolve(nodeTypesTypeRootPath, "index.d.ts"), nodeTypesContent);
+	return nodeTypesCacheData;
+}
@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Utilities for downloading npm packages and the packages their declaration files depend on.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import * as streams from "https://deno.land/std@0.167.0/streams/mod.ts";
+import { Untar } from "https://deno.land/std@0.167.0/archive/tar.ts";
+import { maxSatisfying, parse, satisfies } from "https://deno.land/std@0.167.0/semver/mod.ts";
+import {
+	getReferencedPackageNames,
+	getTypesPackageName,
+	parseNpmSpecifier,
+	readPackageJson,
+	resolveNpmTypesPath,
+} from "./npmTypes.js";
+import { copyDenoCacheNpmPackage } from "./denoCache.js";
+import { createDeduplicator, createLimiter } from "./fetching.js";
+
+/**
+ * The data of a specific version of a package, as returned by the registry.
+ * @typedef NpmPackageVersionData
+ * @property {string} name
+ * @property {string} version
+ * @property {Object.<string, string>} [dependencies]
+ * @property {Object.<string, string>} [peerDependencies]
+ * @property {{tarball: string}} dist
+ */
+
+/**
+ * Places the contents of a package in a directory.
+ * @typedef {(packageData: NpmPackageVersionData, destinationDir: string) => Promise<void>} ExtractPackage
+ */
+
+/**
+ * @typedef NpmRegistryData
+ * @property {Object.<string, string>} [dist-tags]
+ * @property {Object.<string, NpmPackageVersionData>} [versions]
+ */
+
+/**
+ * Fetches the registry data of a package, returns `null` when the package doesn't exist.
+ * @param {string} registry
+ * @param {string} packageName
+ * @param {import("./fetching.js").Fetcher} fetcher
+ * @returns {Promise<NpmRegistryData?>}
+ */
+async function fetchNpmRegistryData(registry, packageName, fetcher) {
+	const registryUrl = registry.endsWith("/") ? registry : registry + "/";
+	const url = new URL(packageName.replace("/", "%2f"), registryUrl);
+	const response = await fetcher(url);
+	if (response.status == 404) {
+		await response.body?.cancel();
+		return null;
+	}
+	if (!response.ok) {
+		await response.body?.cancel();
+		throw new Error(`Failed to fetch registry data for "${packageName}" from ${url.href}: ${response.status}`);
+	}
+	return await response.json();
+}
+
+/**
+ * Fetches the registry data of a package and picks the version that best matches the range.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.packageName
+ * @param {string} options.versionRange A semver range or dist tag, an empty string resolves to the latest version.
+ * @param {import("./fetching.js").Fetcher} [options.fetcher] Used for making requests, defaults to the global fetch.
+ * @returns {Promise<NpmPackageVersionData>}
+ */
+export async function resolveNpmPackage({ registry, packageName, versionRange, fetcher = fetch }) {
+	const registryData = await fetchNpmRegistryData(registry, packageName, fetcher);
+	if (!registryData) {
+		throw new Error(`The package "${packageName}" does not exist in the registry at ${registry}.`);
+	}
+	const versions = registryData.versions || {};
+
+	const range = versionRange || "latest";
+	let version = registryData["dist-tags"]?.[range];
+	if (!version) {
+		version = maxSatisfying(Object.keys(versions), range) || undefined;
+	}
+	if (!version || !versions[version]) {
+		throw new Error(`No version of "${packageName}" matches "${range}".`);
+	}
+	return versions[version];
+}
+
+/**
+ * Finds the version of a DefinitelyTyped package that best matches the version of the package it provides types
+ * for. Versions with the same major and minor version are preferred, then versions with the same major version,
+ * and finally the latest version is used.
+ * Returns `null` when no DefinitelyTyped package exists.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.typesPackageName
+ * @param {string} options.packageVersion The exact version of the package that types are needed for.
+ * @param {import("./fetching.js").Fetcher} [options.fetcher] Used for making requests, defaults to the global fetch.
+ */
+export async function resolveTypesPackageVersion({ registry, typesPackageName, packageVersion, fetcher = fetch }) {
+	const registryData = await fetchNpmRegistryData(registry, typesPackageName, fetcher);
+	if (!registryData) return null;
+	const versions = Object.keys(registryData.versions || {});
+
+	const parsedVersion = parse(packageVersion);
+	if (parsedVersion) {
+		const ranges = [
+			`~${parsedVersion.major}.${parsedVersion.minor}.0`,
+			`${parsedVersion.major}.x`,
+		];
+		for (const range of ranges) {
+			const version = maxSatisfying(versions, range);
+			if (version) return version;
+		}
+	}
+	return registryData["dist-tags"]?.latest || maxSatisfying(versions, "*");
+}
+
+/**
+ * Downloads the tarball of a package and extracts its contents into a directory.
+ * @param {string} tarballUrl
+ * @param {string} destinationDir
+ * @param {import("./fetching.js").Fetcher} [fetcher] Used for making requests, defaults to the global fetch.
+ * @param {(tarball: Uint8Array) => Promise<void>} [verifyTarball] Called with the downloaded tarball before it is
+ * extracted, this can throw to prevent the package from being extracted.
+ */
+export async function extractNpmPackage(tarballUrl, destinationDir, fetcher = fetch, verifyTarball) {
+	const response = await fetcher(tarballUrl);
+	if (!response.ok) {
+		await response.body?.cancel();
+		throw new Error(`Failed to download ${tarballUrl}: ${response.status}`);
+	}
+	const tarball = new Uint8Array(await response.arrayBuffer());
+	if (verifyTarball) await verifyTarball(tarball);
+	const decompressed = new Blob([tarball]).stream().pipeThrough(new DecompressionStream("gzip"));
+	const untar = new Untar(streams.readerFromStreamReader(decompressed.getReader()));
+
+	await ensureDir(destinationDir);
+	for await (const entry of untar) {
+		if (entry.type != "file") continue;
+		// Files in npm tarballs are placed in a top level directory, usually named "package".
+		const fileName = entry.fileName.split("/").slice(1).join("/");
+		const destinationPath = path.resolve(destinationDir, fileName);
+		if (!destinationPath.startsWith(destinationDir + path.SEP)) continue;
+		await ensureDir(path.dirname(destinationPath));
+		const file = await Deno.open(destinationPath, { write: true, create: true, truncate: true });
+		try {
+			await streams.copy(entry, file);
+		} finally {
+			file.close();
+		}
+	}
+}
+
+/**
+ * Returns the version of the package in a directory, or `null` if no package has been extracted there.
+ * @param {string} packageDir
+ */
+async function getInstalledVersion(packageDir) {
+	const packageJson = await readPackageJson(packageDir);
+	if (!packageJson || typeof packageJson.version != "string") return null;
+	return packageJson.version;
+}
+
+/**
+ * Downloads the dependencies that are referenced from the declaration files of a package, and then the
+ * dependencies of those packages recursively. Packages are placed in a node_modules-style tree so that tsc can
+ * find them. A dependency is placed in `hoistDir` when no other version of it exists there yet, otherwise it is
+ * placed in the node_modules directory of the package that depends on it.
+ *
+ * Only `dependencies` and `peerDependencies` are considered. When a declaration file references a package that
+ * has a corresponding `@types/` package in these lists, the `@types/` package is downloaded.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.packageDir The directory of the package to download the dependencies for.
+ * @param {string} options.hoistDir The shared node_modules directory.
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {import("./fetching.js").Fetcher} [options.fetcher] Used for making requests, defaults to the global fetch.
+ * @param {ExtractPackage} [options.extractPackage] Places a dependency in its directory, defaults to downloading
+ * and extracting its tarball.
+ * @returns {Promise<string[]>} The directories of all dependencies of the package, including ones that were
+ * already downloaded by a previous run.
+ */
+export async function installNpmTypeDependencies({
+	registry,
+	packageDir,
+	hoistDir,
+	logger,
+	fetcher = fetch,
+	extractPackage = (packageData, destinationDir) =>
+		extractNpmPackage(packageData.dist.tarball, destinationDir, fetcher),
+}) {
+	/** @type {Set<string>} */
+	const dependencyDirs = new Set();
+	/** @type {Set<string>} */
+	const visitedDirs = new Set();
+	const queue = [packageDir];
+	while (queue.length > 0) {
+		const dir = queue.shift();
+		if (!dir || visitedDirs.has(dir)) continue;
+		visitedDirs.add(dir);
+
+		const packageJson = await readPackageJson(dir);
+		if (!packageJson) continue;
+		/** @type {Object.<string, string>} */
+		const dependencies = {
+			.../** @type {Object.<string, string>} */ (packageJson.peerDependencies),
+			.../** @type {Object.<string, string>} */ (packageJson.dependencies),
+		};
+
+		for (const referencedName of await getReferencedPackageNames(dir)) {
+			for (const dependencyName of [referencedName, getTypesPackageName(referencedName)]) {
+				const versionRange = dependencies[dependencyName];
+				if (typeof versionRange != "string") continue;
+				const dependencyDir = await installDependency({
+					registry,
+					packageName: dependencyName,
+					versionRange,
+					dependentDir: dir,
+					hoistDir,
+					logger,
+					fetcher,
+					extractPackage,
+				});
+				if (!dependencyDir) continue;
+				dependencyDirs.add(dependencyDir);
+				queue.push(dependencyDir);
+			}
+		}
+	}
+	return Array.from(dependencyDirs);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.packageName
+ * @param {string} options.versionRange
+ * @param {string} options.dependentDir The directory of the package that depends on this package.
+ * @param {string} options.hoistDir
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @param {ExtractPackage} options.extractPackage
+ * @returns {Promise<string?>} The directory that the package was placed in.
+ */
+async function installDependency({
+	registry,
+	packageName,
+	versionRange,
+	dependentDir,
+	hoistDir,
+	logger,
+	fetcher,
+	extractPackage,
+}) {
+	const nestedDir = path.resolve(dependentDir, "node_modules", packageName);
+	const hoistedDir = path.resolve(hoistDir, packageName);
+
+	// tsc looks in the nested node_modules directory first, so an existing nested version always has to match.
+	const nestedVersion = await getInstalledVersion(nestedDir);
+	if (nestedVersion && satisfies(nestedVersion, versionRange)) return nestedDir;
+	const hoistedVersion = await getInstalledVersion(hoistedDir);
+	if (!nestedVersion && hoistedVersion && satisfies(hoistedVersion, versionRange)) return hoistedDir;
+	const destinationDir = nestedVersion || hoistedVersion ? nestedDir : hoistedDir;
+
+	let packageData;
+	try {
+		packageData = await resolveNpmPackage({ registry, packageName, versionRange, fetcher });
+	} catch (e) {
+		logger.warning(
+			`Failed to download "${packageName}@${versionRange}", which is a dependency of ${dependentDir}: ${e}`,
+		);
+		return null;
+	}
+	logger.debug(`Downloading ${packageName}@${packageData.version} to ${destinationDir}`);
+	try {
+		await Deno.remove(destinationDir, { recursive: true });
+	} catch (e) {
+		if (!(e instanceof Deno.errors.NotFound)) throw e;
+	}
+	await extractPackage(packageData, destinationDir);
+	return destinationDir;
+}
+
+/**
+ * The locations of downloaded npm packages, as stored in the cache file. Paths are relative to the output directory.
+ * @typedef NpmCacheData
+ * @property {Object.<string, string?>} npmTypes
+ * @property {Object.<string, string>} npmPackages
+ * @property {Object.<string, string[]>} npmDependencies
+ */
+
+/**
+ * Creates a function that downloads the package of an npm specifier and finds the declaration file for the imported
+ * subpath. Packages are downloaded into the npmTypes directory of the output directory, and only once per run.
+ * @param {Object} options
+ * @param {string} options.registry
+ * @param {string} options.outputDirPath The absolute path of the output directory.
+ * @param {Partial<NpmCacheData>} options.cacheData The locations from previous runs.
+ * @param {string?} options.typescriptVersion The TypeScript version of the user, used for `typesVersions`.
+ * @param {string?} options.denoDir When set, packages are copied from the Deno cache if Deno has extracted them.
+ * @param {boolean} options.offline Whether packages that aren't in the Deno cache should fail instead of being
+ * downloaded. These are added to `missingUrls`.
+ * @param {Set<string>} options.missingUrls
+ * @param {(packageData: NpmPackageVersionData, tarball: Uint8Array) => Promise<void>} options.verifyTarball
+ * @param {import("./fetching.js").Fetcher} options.fetcher
+ * @param {import("./logging.js").Logger} options.logger
+ * @param {(event: import("./events.js").GenerateTypesEvent) => void} options.emitEvent
+ */
+export function createNpmTypesFetcher({
+	registry,
+	outputDirPath,
+	cacheData,
+	typescriptVersion,
+	denoDir,
+	offline,
+	missingUrls,
+	verifyTarball,
+	fetcher,
+	logger,
+	emitEvent,
+}) {
+	/**
+	 * Maps resolved npm specifiers to the absolute path of the .d.ts entry point of the package,
+	 * or `null` when the package doesn't contain any types.
+	 * @type {Map<string, string?>}
+	 */
+	const typesPaths = new Map();
+	for (const [specifier, relativePath] of Object.entries(cacheData.npmTypes || {})) {
+		typesPaths.set(specifier, relativePath ? path.resolve(outputDirPath, relativePath) : null);
+	}
+
+	/**
+	 * Maps resolved npm specifiers to the absolute path of the directory that their package was extracted to.
+	 * @type {Map<string, string>}
+	 */
+	const packageDirs = new Map();
+	for (const [specifier, relativePath] of Object.entries(cacheData.npmPackages || {})) {
+		packageDirs.set(specifier, path.resolve(outputDirPath, relativePath));
+	}
+
+	/**
+	 * Maps resolved npm specifiers to the absolute paths of the packages that the types of their package depend on.
+	 * @type {Map<string, string[]>}
+	 */
+	const dependencyDirs = new Map();
+	for (const [specifier, relativePaths] of Object.entries(cacheData.npmDependencies || {})) {
+		dependencyDirs.set(specifier, relativePaths.map((relativePath) => path.resolve(outputDirPath, relativePath)));
+	}
+
+	/**
+	 * Maps the urls of npm tarballs that are being downloaded to their package, so that progress can be reported.
+	 * @type {Map<string, {packageName: string, version: string}>}
+	 */
+	const tarballDownloads = new Map();
+
+	// Downloads of npm packages that were started during this run, keyed by the package name and version range.
+	// This way a package is only downloaded once when multiple of its subpaths are imported.
+	const dedupeDownload = createDeduplicator();
+	// Different version ranges can resolve to the same version, this makes sure that two parallel downloads don't
+	// write to the same directory.
+	const dedupePackageDirWrite = createDeduplicator();
+	const dependencyInstallLimiter = createLimiter(1);
+
+	/**
+	 * Places the contents of an npm package in a directory. When using the Deno cache, the package is copied from
+	 * there if Deno has extracted it before, otherwise its tarball is downloaded.
+	 * @type {ExtractPackage}
+	 */
+	async function extractPackageData(packageData, destinationDir) {
+		if (denoDir) {
+			const copied = await copyDenoCacheNpmPackage({
+				denoDir,
+				registry,
+				packageName: packageData.name,
+				version: packageData.version,
+				destinationDir,
+			});
+			if (copied) return;
+		}
+		if (offline) {
+			missingUrls.add(`npm:${packageData.name}@${packageData.version}`);
+			throw new Error(`npm:${packageData.name}@${packageData.version} is not in the Deno cache.`);
+		}
+		logger.debug(`Downloading ${packageData.name}@${packageData.version}`);
+		const tarballUrl = packageData.dist.tarball;
+		tarballDownloads.set(tarballUrl, { packageName: packageData.name, version: packageData.version });
+		try {
+			await extractNpmPackage(tarballUrl, destinationDir, fetcher, (tarball) => {
+				return verifyTarball(packageData, tarball);
+			});
+		} finally {
+			tarballDownloads.delete(tarballUrl);
+		}
+	}
+
+	/**
+	 * Downloads and extracts an npm package into the npmTypes directory, including the packages that its declaration
+	 * files depend on. Packages that have already been extracted in a previous run are not extracted again.
+	 * @param {string} packageName
+	 * @param {string} versionRange
+	 */
+	async function downloadPackage(packageName, versionRange) {
+		const packageData = await resolveNpmPackage({ registry, packageName, versionRange, fetcher });
+		const packageDir = path.resolve(outputDirPath, "npmTypes", packageData.name, packageData.version);
+		await dedupePackageDirWrite(packageDir, async () => {
+			try {
+				await Deno.stat(path.resolve(packageDir, "package.json"));
+				return;
+			} catch (e) {
+				if (!(e instanceof Deno.errors.NotFound)) throw e;
+			}
+			await extractPackageData(packageData, packageDir);
+		});
+
+		// Dependencies are shared between packages in the hoisted node_modules directory,
+		// so only one package at a time can install them.
+		const packageDependencyDirs = await dependencyInstallLimiter(() => {
+			return installNpmTypeDependencies({
+				registry,
+				packageDir,
+				hoistDir: path.resolve(outputDirPath, "npmTypes", "node_modules"),
+				logger,
+				fetcher,
+				extractPackage: extractPackageData,
+			});
+		});
+		return { packageDir, version: packageData.version, dependencyDirs: packageDependencyDirs };
+	}
+
+	/**
+	 * Downloads an npm package, unless it is already being downloaded during this run.
+	 * @param {string} packageName
+	 * @param {string} versionRange
+	 */
+	function getNpmPackage(packageName, versionRange) {
+		return dedupeDownload(`${packageName}@${versionRange}`, () => downloadPackage(packageName, versionRange));
+	}
+
+	return {
+		typesPaths,
+		packageDirs,
+		dependencyDirs,
+		getNpmPackage,
+		/**
+		 * Fetches the package of an npm specifier and finds the declaration file for the imported subpath.
+		 * @param {string} resolvedSpecifier
+		 */
+		async fetchNpmTypes(resolvedSpecifier) {
+			const { packageName, version: versionRange, subpath } = parseNpmSpecifier(resolvedSpecifier);
+			const npmPackage = await getNpmPackage(packageName, versionRange);
+			const { packageDir, version } = npmPackage;
+			packageDirs.set(resolvedSpecifier, packageDir);
+			dependencyDirs.set(resolvedSpecifier, npmPackage.dependencyDirs);
+
+			logger.debug(`Resolving types for ${resolvedSpecifier}`);
+			let typesPath = await resolveNpmTypesPath({ packageDir, subpath, typescriptVersion });
+
+			// Packages without bundled types might have types in the DefinitelyTyped repository.
+			const typesPackageName = getTypesPackageName(packageName);
+			/** @type {string?} */
+			let typesVersion = null;
+			if (!typesPath && typesPackageName != packageName) {
+				typesVersion = await resolveTypesPackageVersion({
+					fetcher,
+					registry,
+					typesPackageName,
+					packageVersion: version,
+				});
+				if (typesVersion) {
+					logger.info(`Using ${typesPackageName}@${typesVersion} for the types of ${packageName}@${version}`);
+					const typesPackage = await getNpmPackage(typesPackageName, typesVersion);
+					dependencyDirs.set(resolvedSpecifier, [
+						...npmPackage.dependencyDirs,
+						typesPackage.packageDir,
+						...typesPackage.dependencyDirs,
+					]);
+					typesPath = await resolveNpmTypesPath({
+						packageDir: typesPackage.packageDir,
+						subpath,
+						typescriptVersion,
+					});
+				}
+			}
+
+			typesPaths.set(resolvedSpecifier, typesPath);
+			if (!typesPath) {
+				let reason;
+				if (typesPackageName == packageName) {
+					reason = "the package is a DefinitelyTyped package but doesn't contain declaration files for it.";
+				} else if (typesVersion) {
+					reason =
+						`neither the package nor ${typesPackageName}@${typesVersion} contain declaration files for it.`;
+				} else {
+					reason = `the package doesn't contain declaration files and no ${typesPackageName} package exists.`;
+				}
+				logger.warning(`No types were found for "${resolvedSpecifier}", ${reason}`);
+			}
+		},
+		/**
+		 * Emits a progress event when the url is the tarball of a package that is being downloaded.
+		 * @type {import("./fetching.js").DownloadProgressCallback}
+		 */
+		reportDownloadProgress(url, loadedBytes, totalBytes) {
+			const npmPackage = tarballDownloads.get(url);
+			if (npmPackage) emitEvent({ type: "npmDownloadProgress", ...npmPackage, loadedBytes, totalBytes });
+		},
+		/**
+		 * Returns the locations of the packages so far, in the format of the cache file.
+		 * @returns {NpmCacheData}
+		 */
+		getCacheData() {
+			/** @type {Object.<string, string?>} */
+			const npmTypes = {};
+			for (const [specifier, filePath] of typesPaths) {
+				npmTypes[specifier] = filePath ? path.relative(outputDirPath, filePath) : null;
+			}
+			/** @type {Object.<string, string>} */
+			const npmPackages = {};
+			for (const [specifier, dirPath] of packageDirs) {
+				npmPackages[specifier] = path.relative(outputDirPath, dirPath);
+			}
+			/** @type {Object.<string, string[]>} */
+			const npmDependencies = {};
+			for (const [specifier, dirPaths] of dependencyDirs) {
+				npmDependencies[specifier] = dirPaths.map((dirPath) => path.relative(outputDirPath, dirPath));
+			}
+			return { npmTypes, npmPackages, npmDependencies };
+		},
+	};
+}
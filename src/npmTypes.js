@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Utilities for finding the declaration files of npm packages, similar to how tsc resolves them.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { satisfies } from "https://deno.land/std@0.167.0/semver/mod.ts";
+import { readDirRecursive } from "./common.js";
+import { parseFilePathAst } from "./parseFileAst.js";
+import { assumedTypeScriptVersion } from "./tsImports.js";
+
+/**
+ * @typedef ParsedNpmSpecifier
+ * @property {string} packageName The name of the package, including its scope.
+ * @property {string} version The version or version range, this is an empty string when no version was specified.
+ * @property {string} subpath The path inside the package without a leading slash, or an empty string when
+ * the package itself is imported.
+ */
+
+/**
+ * Splits an npm specifier such as `npm:@scope/pkg@1.2/sub/path` into its parts.
+ * @param {string} specifier
+ * @returns {ParsedNpmSpecifier}
+ */
+export function parseNpmSpecifier(specifier) {
+	let rest = specifier.startsWith("npm:") ? specifier.slice("npm:".length) : specifier;
+	rest = rest.replace(/^\/+/, "");
+	const segments = rest.split("/");
+	const nameSegmentCount = rest.startsWith("@") ? 2 : 1;
+	const nameAndVersion = segments.slice(0, nameSegmentCount).join("/");
+	const subpath = segments.slice(nameSegmentCount).join("/");
+
+	// The first character is skipped so that the @ of a scope isn't seen as version separator.
+	const versionIndex = nameAndVersion.indexOf("@", 1);
+	if (versionIndex == -1) {
+		return { packageName: nameAndVersion, version: "", subpath };
+	}
+	return {
+		packageName: nameAndVersion.slice(0, versionIndex),
+		version: nameAndVersion.slice(versionIndex + 1),
+		subpath,
+	};
+}
+
+/**
+ * The conditions that are accepted when resolving the `exports` of a package, the order of the keys in the exports
+ * object determines which one is used.
+ */
+const exportsConditions = ["types", "typings", "deno", "import", "module", "node", "default", "require"];
+
+/**
+ * @param {unknown} target
+ * @param {string} patternMatch The string that the `*` in the target should be replaced with.
+ * @returns {string?}
+ */
+function resolveExportsTarget(target, patternMatch) {
+	if (typeof target == "string") {
+		return target.replaceAll("*", patternMatch);
+	}
+	if (Array.isArray(target)) {
+		for (const item of target) {
+			const resolved = resolveExportsTarget(item, patternMatch);
+			if (resolved) return resolved;
+		}
+		return null;
+	}
+	if (target && typeof target == "object") {
+		for (const [condition, value] of Object.entries(target)) {
+			if (!exportsConditions.includes(condition)) continue;
+			const resolved = resolveExportsTarget(value, patternMatch);
+			if (resolved) return resolved;
+		}
+	}
+	return null;
+}
+
+/**
+ * Resolves a subpath using the `exports` field of a package.json.
+ * Returns the target path relative to the package, or `null` if the subpath is not exported.
+ * @param {unknown} exports
+ * @param {string} subpath The subpath as it appears in the exports object, i.e. `"."` or `"./hooks"`.
+ */
+export function resolvePackageExports(exports, subpath) {
+	/** @type {Object.<string, unknown>} */
+	let exportsMap;
+	const isSubpathMap = exports && typeof exports == "object" && !Array.isArray(exports) &&
+		Object.keys(exports).some((key) => key.startsWith("."));
+	if (isSubpathMap) {
+		exportsMap = /** @type {Object.<string, unknown>} */ (exports);
+	} else {
+		exportsMap = { ".": exports };
+	}
+
+	if (subpath in exportsMap) {
+		return resolveExportsTarget(exportsMap[subpath], "");
+	}
+
+	// Pattern keys such as "./locale/*", the key with the longest prefix wins.
+	let bestKey = null;
+	let bestMatch = "";
+	for (const key of Object.keys(exportsMap)) {
+		const starIndex = key.indexOf("*");
+		if (starIndex == -1) continue;
+		const prefix = key.slice(0, starIndex);
+		const suffix = key.slice(starIndex + 1);
+		if (!subpath.startsWith(prefix) || !subpath.endsWith(suffix)) continue;
+		if (subpath.length < prefix.length + suffix.length) continue;
+		if (bestKey && prefix.length <= bestKey.indexOf("*")) continue;
+		bestKey = key;
+		bestMatch = subpath.slice(prefix.length, subpath.length - suffix.length);
+	}
+	if (bestKey) return resolveExportsTarget(exportsMap[bestKey], bestMatch);
+	return null;
+}
+
+/**
+ * Picks the mapping from the `typesVersions` field of a package.json that applies to the TypeScript version.
+ * @param {unknown} typesVersions
+ * @param {string?} typescriptVersion When `null`, a recent version is assumed.
+ * @returns {Object.<string, string[]>?}
+ */
+function getTypesVersionsMapping(typesVersions, typescriptVersion) {
+	if (!typesVersions || typeof typesVersions != "object") return null;
+	const version = typescriptVersion || assumedTypeScriptVersion;
+	for (const [range, mapping] of Object.entries(typesVersions)) {
+		if (!mapping || typeof mapping != "object") continue;
+		if (range == "*" || satisfies(version, range)) {
+			return /** @type {Object.<string, string[]>} */ (mapping);
+		}
+	}
+	return null;
+}
+
+/**
+ * Applies a `typesVersions` mapping to a path inside the package.
+ * Returns the mapped paths, or an empty array when no entry of the mapping matches.
+ * @param {Object.<string, string[]>} mapping
+ * @param {string} filePath
+ */
+function applyTypesVersionsMapping(mapping, filePath) {
+	for (const [key, targets] of Object.entries(mapping)) {
+		if (!Array.isArray(targets)) continue;
+		const starIndex = key.indexOf("*");
+		if (starIndex == -1) {
+			if (key == filePath) return targets;
+			continue;
+		}
+		const prefix = key.slice(0, starIndex);
+		const suffix = key.slice(starIndex + 1);
+		if (!filePath.startsWith(prefix) || !filePath.endsWith(suffix)) continue;
+		const match = filePath.slice(prefix.length, filePath.length - suffix.length);
+		return targets.map((target) => target.replaceAll("*", match));
+	}
+	return [];
+}
+
+/**
+ * @param {string} filePath
+ */
+async function statOrNull(filePath) {
+	try {
+		return await Deno.stat(filePath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+}
+
+/**
+ * @param {string} filePath
+ */
+async function isFile(filePath) {
+	const fileInfo = await statOrNull(filePath);
+	return Boolean(fileInfo?.isFile);
+}
+
+/**
+ * Reads the package.json in a directory, returns `null` when it doesn't exist or is invalid.
+ * @param {string} dirPath
+ * @returns {Promise<Object.<string, unknown>?>}
+ */
+export async function readPackageJson(dirPath) {
+	let text;
+	try {
+		text = await Deno.readTextFile(path.resolve(dirPath, "package.json"));
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+	try {
+		const packageJson = JSON.parse(text);
+		if (packageJson && typeof packageJson == "object") return packageJson;
+	} catch {
+		// Invalid package.json files are ignored, tsc does the same.
+	}
+	return null;
+}
+
+/**
+ * Finds the declaration file for a path inside a package, the same way tsc would when a module is imported.
+ * @param {string} packageDir
+ * @param {string} relativePath
+ * @returns {Promise<string?>}
+ */
+async function findDeclarationFile(packageDir, relativePath) {
+	const filePath = path.resolve(packageDir, relativePath);
+	if (filePath != packageDir && !filePath.startsWith(packageDir + path.SEP)) return null;
+
+	// This includes declaration files, some packages also ship their TypeScript sources.
+	if (/\.[mc]?tsx?$/.test(filePath)) {
+		return (await isFile(filePath)) ? filePath : null;
+	}
+	const jsExtensionMatch = filePath.match(/\.([mc]?)jsx?$/);
+	if (jsExtensionMatch) {
+		const declarationPath = filePath.slice(0, -jsExtensionMatch[0].length) + `.d.${jsExtensionMatch[1]}ts`;
+		if (await isFile(declarationPath)) return declarationPath;
+	}
+
+	if (await isFile(filePath + ".d.ts")) return filePath + ".d.ts";
+
+	const fileInfo = await statOrNull(filePath);
+	if (!fileInfo?.isDirectory) return null;
+
+	// Directories can contain their own package.json, preact/hooks for example.
+	const packageJson = await readPackageJson(filePath);
+	if (packageJson) {
+		const typesField = packageJson.types || packageJson.typings;
+		if (typeof typesField == "string") {
+			const declarationPath = await findDeclarationFile(filePath, typesField);
+			if (declarationPath) return declarationPath;
+		}
+	}
+	const indexPath = path.resolve(filePath, "index.d.ts");
+	if (await isFile(indexPath)) return indexPath;
+	return null;
+}
+
+/**
+ * Finds the declaration file of an npm package or one of its subpaths. This looks at the `exports` field with its
+ * `types` conditions, then `typesVersions`, the `types` and `typings` fields, and finally falls back to the
+ * declaration file next to `main` or to an index.d.ts file.
+ * @param {Object} options
+ * @param {string} options.packageDir The directory that the package was extracted to.
+ * @param {string} options.subpath The subpath as returned by `parseNpmSpecifier`.
+ * @param {string?} options.typescriptVersion Used for picking the correct `typesVersions` entry.
+ * @returns {Promise<string?>} The absolute path of the declaration file, or `null` if the package has no types.
+ */
+export async function resolveNpmTypesPath({ packageDir, subpath, typescriptVersion }) {
+	const packageJson = await readPackageJson(packageDir) || {};
+
+	if (packageJson.exports !== undefined && packageJson.exports !== null) {
+		const target = resolvePackageExports(packageJson.exports, subpath ? "./" + subpath : ".");
+		if (target) {
+			const declarationPath = await findDeclarationFile(packageDir, target);
+			if (declarationPath) return declarationPath;
+		}
+	}
+
+	/** @type {string[]} */
+	const candidates = [];
+	if (subpath) {
+		candidates.push(subpath);
+	} else {
+		const typesField = packageJson.types || packageJson.typings;
+		if (typeof typesField == "string") candidates.push(typesField);
+		if (typeof packageJson.main == "string") candidates.push(packageJson.main);
+		candidates.push("index.d.ts");
+	}
+
+	const typesVersionsMapping = getTypesVersionsMapping(packageJson.typesVersions, typescriptVersion);
+	/** @type {string[]} */
+	const mappedCandidates = [];
+	if (typesVersionsMapping) {
+		for (const candidate of candidates) {
+			const normalized = path.normalize(candidate).replaceAll(path.SEP, "/").replace(/^\.\//, "");
+			mappedCandidates.push(...applyTypesVersionsMapping(typesVersionsMapping, normalized));
+		}
+	}
+
+	for (const candidate of [...mappedCandidates, ...candidates]) {
+		const declarationPath = await findDeclarationFile(packageDir, candidate);
+		if (declarationPath) return declarationPath;
+	}
+	return null;
+}
+
+/**
+ * Returns the name of the DefinitelyTyped package for a package, e.g. `@types/estree` for `estree`
+ * and `@types/babel__core` for `@babel/core`.
+ * @param {string} packageName
+ */
+export function getTypesPackageName(packageName) {
+	if (packageName.startsWith("@types/")) return packageName;
+	return "@types/" + packageName.replace(/^@([^/]+)\//, "$1__");
+}
+
+/**
+ * Collects the names of all packages that are imported or referenced via `/// <reference types="..." />`
+ * from the declaration files of a package. Nested node_modules directories are not included.
+ * @param {string} packageDir
+ */
+export async function getReferencedPackageNames(packageDir) {
+	/** @type {Set<string>} */
+	const packageNames = new Set();
+	/**
+	 * @param {string} specifier
+	 */
+	function addSpecifier(specifier) {
+		if (specifier.startsWith(".") || specifier.startsWith("/") || specifier.includes(":")) return;
+		const { packageName } = parseNpmSpecifier(specifier);
+		if (packageName) packageNames.add(packageName);
+	}
+
+	/** @type {import("./common.js").ReadDirRecursiveFilter} */
+	const filter = (entry) => !(entry.isDirectory && entry.name == "node_modules");
+	for await (const filePath of readDirRecursive(packageDir, filter)) {
+		if (!/\.d\.[mc]?ts$/.test(filePath)) continue;
+		const sourceFile = await parseFilePathAst(filePath);
+		if (!sourceFile) continue;
+		// Imports is marked as internal, see collectImports.js.
+		const castSourceFile =
+			/** @type {import("npm:typescript@4.7.4").SourceFile & {imports: readonly import("npm:typescript@4.7.4").StringLiteralLike[]}} */ (sourceFile);
+		for (const importLiteral of castSourceFile.imports) {
+			addSpecifier(importLiteral.text);
+		}
+		for (const reference of sourceFile.typeReferenceDirectives) {
+			addSpecifier(reference.fileName);
+		}
+	}
+	return packageNames;
+}
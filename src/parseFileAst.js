@@ -75,3 +75,65 @@ export function parseFileAst(fileContent, filePath, cbNode) {
 
 	return sourceFile;
 }
+
+/**
+ * Matches both the `@deno-types` and the newer `@ts-types` spelling of type comments.
+ */
+const typesCommentRegex = /\/\/\s*@(?:deno|ts)-types\s*=\s*"(?<url>.*)"/;
+
+/**
+ * Returns the specifier from a `// @deno-types="..."` or `// @ts-types="..."` comment directly above an
+ * import or export declaration, or `null` when there is no such comment.
+ * @param {ts.Node} node
+ * @param {ts.SourceFile} sourceFile
+ */
+export function getTypesComment(node, sourceFile) {
+	if (!ts.isImportDeclaration(node) && !ts.isExportDeclaration(node)) return null;
+	const commentRanges = ts.getLeadingCommentRanges(sourceFile.text, node.pos);
+	const lastRange = commentRanges?.at(-1);
+	if (!lastRange) return null;
+	const comment = sourceFile.text.substring(lastRange.pos, lastRange.end);
+	const match = typesCommentRegex.exec(comment);
+	return match?.groups?.url || null;
+}
+
+/**
+ * Returns the `type` from the import attributes of an import, i.e. `"json"` for
+ * `import data from "./data.json" with { type: "json" }`. The older `assert` keyword is supported as well.
+ * The text is matched directly rather than using the ast, since our version of TypeScript doesn't parse
+ * the `with` keyword.
+ * @param {ts.StringLiteralLike} importLiteral The module specifier of the import.
+ * @param {ts.SourceFile} sourceFile
+ */
+export function getImportAttributeType(importLiteral, sourceFile) {
+	const textAfterSpecifier = sourceFile.text.slice(importLiteral.end, importLiteral.end + 200);
+	const staticMatch = /^\s*(?:with|assert)\s*\{\s*type\s*:\s*["'](?<type>[\w-]+)["']/.exec(textAfterSpecifier);
+	if (staticMatch?.groups) return staticMatch.groups.type;
+	const dynamicMatch = /^\s*,\s*\{\s*(?:with|assert)\s*:\s*\{\s*type\s*:\s*["'](?<type>[\w-]+)["']/.exec(
+		textAfterSpecifier,
+	);
+	if (dynamicMatch?.groups) return dynamicMatch.groups.type;
+	return null;
+}
+
+/**
+ * Checks whether a module has a default export, which is not included when re-exporting it with `export *`.
+ * @param {string} filePath
+ */
+export async function fileHasDefaultExport(filePath) {
+	const sourceFile = await parseFilePathAst(filePath);
+	if (!sourceFile) return false;
+	for (const statement of sourceFile.statements) {
+		if (ts.isExportAssignment(statement) && !statement.isExportEquals) return true;
+		if (ts.isExportDeclaration(statement) && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+			for (const element of statement.exportClause.elements) {
+				if (element.name.text == "default") return true;
+			}
+		}
+		const modifiers = statement.modifiers || [];
+		const hasExportModifier = modifiers.some((m) => m.kind == ts.SyntaxKind.ExportKeyword);
+		const hasDefaultModifier = modifiers.some((m) => m.kind == ts.SyntaxKind.DefaultKeyword);
+		if (hasExportModifier && hasDefaultModifier) return true;
+	}
+	return false;
+}
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Utilities for removing files from the output directory that are no longer needed.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { readDirRecursive, sanitizeFileName } from "./common.js";
+import { getJsrDependencyClosure } from "./jsr.js";
+import { ambientModulesTypeRootName } from "./ambientModules.js";
+import { nodeTypesTypeRootName } from "./nodeTypes.js";
+
+/**
+ * Removes all files from the vendor, npmTypes, jsrTypes, exactTypes, excludedTypes, typesComments and @types directories that are not reachable
+ * from the provided specifiers, or from the jsr packages of these specifiers. Returns the cache data with all stale entries removed, which should be written back to the
+ * cache file. This way removed files are fetched again when they are needed in a future run.
+ * @param {Object} options
+ * @param {string} options.absoluteOutputDirPath
+ * @param {import("../mod.js").CacheFileData} options.cache
+ * @param {Set<string>} options.resolvedSpecifiers The resolved specifiers of all current remote imports.
+ * @param {string[]} options.exactTypeSpecifiers The specifiers from the `exactTypeModules` option.
+ * @param {string[]} options.excludedTypesUrls The urls of `excludeUrls` entries that provide types.
+ * @param {string[]} options.typesCommentUrls The resolved urls from `@deno-types` and `@ts-types` comments in the
+ * user's files.
+ * @param {string[]} options.extraTypeRootNames The names from the `extraTypeRoots` option.
+ * @param {boolean} options.hasAmbientModules Whether any import is declared as an ambient module.
+ * @param {boolean} options.needsNodeTypes Whether any import uses a `node:` built-in module.
+ * @param {import("./logging.js").Logger} options.logger
+ */
+export async function pruneOutputDir({
+	absoluteOutputDirPath,
+	cache,
+	resolvedSpecifiers,
+	exactTypeSpecifiers,
+	excludedTypesUrls,
+	typesCommentUrls,
+	extraTypeRootNames,
+	hasAmbientModules,
+	needsNodeTypes,
+	logger,
+}) {
+	logger.debug("Removing unused files from the output directory");
+
+	const vendoredModules = cache.vendoredModules || {};
+	const vendoredFiles = cache.vendoredFiles || {};
+	const npmTypes = cache.npmTypes || {};
+	const npmPackages = cache.npmPackages || {};
+	const npmDependencies = cache.npmDependencies || {};
+	const jsrTypes = cache.jsrTypes || {};
+	const jsrPackages = cache.jsrPackages || {};
+	const jsrDependencies = cache.jsrDependencies || {};
+	const typesHeaders = cache.typesHeaders || {};
+	const ambientFallbackUrls = cache.ambientFallbackUrls || {};
+
+	// The dependencies of jsr packages are not imported by the user, but they are still in use.
+	const usedSpecifiers = new Set(resolvedSpecifiers);
+	for (const specifier of getJsrDependencyClosure(resolvedSpecifiers, jsrDependencies)) {
+		usedSpecifiers.add(new URL(specifier).href);
+	}
+
+	/**
+	 * Absolute paths of files that should be kept.
+	 * @type {Set<string>}
+	 */
+	const keepFiles = new Set();
+	/**
+	 * Absolute paths of directories of which all contents should be kept.
+	 * @type {string[]}
+	 */
+	const keepDirs = [];
+	/**
+	 * The directories to prune.
+	 * @type {string[]}
+	 */
+	const pruneDirs = [
+		path.resolve(absoluteOutputDirPath, "exactTypes"),
+		path.resolve(absoluteOutputDirPath, "excludedTypes"),
+		path.resolve(absoluteOutputDirPath, "typesComments"),
+		path.resolve(absoluteOutputDirPath, "@types"),
+	];
+
+	/** @type {import("../mod.js").CacheFileData} */
+	const newCacheData = {
+		vendoredImports: [],
+		vendoredModules: {},
+		vendoredFiles: {},
+		npmTypes: {},
+		npmPackages: {},
+		npmDependencies: {},
+		jsrTypes: {},
+		jsrPackages: {},
+		jsrDependencies: {},
+		typesHeaders: {},
+		ambientFallbackUrls: {},
+	};
+
+	// If we don't know which files belong to a current specifier, we can't safely prune the directory.
+	let canPruneVendor = true;
+	let canPruneNpmTypes = true;
+	let canPruneJsrTypes = true;
+	for (const specifier of usedSpecifiers) {
+		if (specifier.startsWith("npm:")) {
+			if (!(specifier in npmPackages)) canPruneNpmTypes = false;
+		} else if (specifier.startsWith("jsr:")) {
+			if (!(specifier in jsrPackages)) canPruneJsrTypes = false;
+		} else if (specifier.startsWith("node:")) {
+			if (!cache.nodeTypes) canPruneNpmTypes = false;
+		} else if (!(specifier in vendoredModules)) {
+			canPruneVendor = false;
+		}
+	}
+	if (canPruneVendor) pruneDirs.push(path.resolve(absoluteOutputDirPath, "vendor"));
+	if (canPruneNpmTypes) pruneDirs.push(path.resolve(absoluteOutputDirPath, "npmTypes"));
+	if (canPruneJsrTypes) pruneDirs.push(path.resolve(absoluteOutputDirPath, "jsrTypes"));
+
+	for (const specifier of cache.vendoredImports || []) {
+		if (!usedSpecifiers.has(specifier)) continue;
+		newCacheData.vendoredImports?.push(specifier);
+
+		const urls = vendoredModules[specifier];
+		if (urls && newCacheData.vendoredModules) {
+			newCacheData.vendoredModules[specifier] = urls;
+			for (const url of urls) {
+				const relativePath = vendoredFiles[url];
+				if (!relativePath) continue;
+				if (newCacheData.vendoredFiles) newCacheData.vendoredFiles[url] = relativePath;
+				if (typesHeaders[url] && newCacheData.typesHeaders) newCacheData.typesHeaders[url] = typesHeaders[url];
+				const filePath = path.resolve(absoluteOutputDirPath, relativePath);
+				keepFiles.add(filePath);
+				// .d.ts files from type comments and headers are placed next to the vendored file.
+				const parsed = path.parse(filePath);
+				keepFiles.add(path.format({ dir: parsed.dir, name: parsed.name, ext: ".d.ts" }));
+			}
+		}
+
+		if (specifier in npmTypes && newCacheData.npmTypes) {
+			newCacheData.npmTypes[specifier] = npmTypes[specifier];
+		}
+		const packageDir = npmPackages[specifier];
+		if (packageDir && newCacheData.npmPackages) {
+			newCacheData.npmPackages[specifier] = packageDir;
+			keepDirs.push(path.resolve(absoluteOutputDirPath, packageDir));
+		}
+		const dependencyDirs = npmDependencies[specifier];
+		if (dependencyDirs && newCacheData.npmDependencies) {
+			newCacheData.npmDependencies[specifier] = dependencyDirs;
+			for (const dependencyDir of dependencyDirs) {
+				keepDirs.push(path.resolve(absoluteOutputDirPath, dependencyDir));
+			}
+		}
+
+		if (specifier in jsrTypes && newCacheData.jsrTypes) {
+			newCacheData.jsrTypes[specifier] = jsrTypes[specifier];
+		}
+		const jsrPackageDir = jsrPackages[specifier];
+		if (jsrPackageDir && newCacheData.jsrPackages) {
+			newCacheData.jsrPackages[specifier] = jsrPackageDir;
+			const absoluteJsrPackageDir = path.resolve(absoluteOutputDirPath, jsrPackageDir);
+			keepDirs.push(absoluteJsrPackageDir);
+			keepFiles.add(absoluteJsrPackageDir + "_meta.json");
+		}
+		if (jsrDependencies[specifier] && newCacheData.jsrDependencies) {
+			newCacheData.jsrDependencies[specifier] = jsrDependencies[specifier];
+		}
+		if (ambientFallbackUrls[specifier] && newCacheData.ambientFallbackUrls) {
+			newCacheData.ambientFallbackUrls[specifier] = ambientFallbackUrls[specifier];
+		}
+	}
+
+	const usesNodeBuiltins = Array.from(usedSpecifiers).some((specifier) => specifier.startsWith("node:"));
+	// The cache data is merged with the existing cache, so unused node types have to be removed explicitly.
+	newCacheData.nodeTypes = undefined;
+	if (cache.nodeTypes && usesNodeBuiltins) {
+		newCacheData.nodeTypes = cache.nodeTypes;
+		for (const dir of [cache.nodeTypes.packageDir, ...cache.nodeTypes.dependencyDirs]) {
+			keepDirs.push(path.resolve(absoluteOutputDirPath, dir));
+		}
+	}
+
+	for (const specifier of exactTypeSpecifiers) {
+		keepDirs.push(path.resolve(absoluteOutputDirPath, "exactTypes", sanitizeFileName(specifier)));
+	}
+	for (const url of excludedTypesUrls) {
+		keepDirs.push(path.resolve(absoluteOutputDirPath, "excludedTypes", sanitizeFileName(url)));
+	}
+	newCacheData.typesCommentEntries = {};
+	for (const [url, entryPath] of Object.entries(cache.typesCommentEntries || {})) {
+		if (typesCommentUrls.includes(url)) newCacheData.typesCommentEntries[url] = entryPath;
+	}
+	for (const url of typesCommentUrls) {
+		keepDirs.push(path.resolve(absoluteOutputDirPath, "typesComments", sanitizeFileName(url)));
+	}
+	const typeRootNames = ["deno-types", ...extraTypeRootNames];
+	if (hasAmbientModules) typeRootNames.push(ambientModulesTypeRootName);
+	if (needsNodeTypes) typeRootNames.push(nodeTypesTypeRootName);
+	for (const typeRootName of typeRootNames) {
+		keepDirs.push(path.resolve(absoluteOutputDirPath, "@types", typeRootName));
+	}
+
+	/**
+	 * @param {string} filePath
+	 */
+	function shouldKeep(filePath) {
+		if (keepFiles.has(filePath)) return true;
+		for (const dir of keepDirs) {
+			if (filePath.startsWith(dir + path.SEP)) return true;
+		}
+		return false;
+	}
+
+	let removedFileCount = 0;
+	let freedBytes = 0;
+	for (const dir of pruneDirs) {
+		try {
+			await Deno.stat(dir);
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) continue;
+			throw e;
+		}
+
+		// Deleting files while iterating over a directory can cause entries to be skipped,
+		// so we collect all paths first.
+		const filePaths = [];
+		for await (const filePath of readDirRecursive(dir)) {
+			filePaths.push(filePath);
+		}
+		for (const filePath of filePaths) {
+			if (shouldKeep(filePath)) continue;
+			const fileInfo = await Deno.stat(filePath);
+			await Deno.remove(filePath);
+			logger.debug(`Removed ${filePath}`);
+			removedFileCount++;
+			freedBytes += fileInfo.size;
+		}
+		await removeEmptyDirs(dir);
+	}
+
+	if (removedFileCount > 0) {
+		logger.info(`Removed ${removedFileCount} unused files, freeing ${formatBytes(freedBytes)}`);
+	}
+
+	return {
+		newCacheData,
+		removedFileCount,
+		freedBytes,
+	};
+}
+
+/**
+ * Recursively removes all empty directories inside a directory.
+ * Returns true when the directory itself is empty afterwards.
+ * @param {string} dirPath
+ */
+async function removeEmptyDirs(dirPath) {
+	let isEmpty = true;
+	/** @type {Deno.DirEntry[]} */
+	const entries = [];
+	for await (const entry of Deno.readDir(dirPath)) {
+		entries.push(entry);
+	}
+	for (const entry of entries) {
+		if (entry.isDirectory) {
+			const entryPath = path.resolve(dirPath, entry.name);
+			if (await removeEmptyDirs(entryPath)) {
+				await Deno.remove(entryPath);
+				continue;
+			}
+		}
+		isEmpty = false;
+	}
+	return isEmpty;
+}
+
+/**
+ * @param {number} bytes
+ */
+function formatBytes(bytes) {
+	const units = ["B", "kB", "MB", "GB"];
+	let value = bytes;
+	let unitIndex = 0;
+	while (value >= 1000 && unitIndex < units.length - 1) {
+		value /= 1000;
+		unitIndex++;
+	}
+	const rounded = unitIndex == 0 ? String(value) : value.toFixed(1);
+	return `${rounded} ${units[unitIndex]}`;
+}
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Contains the report that `generateTypes` returns. It describes what happened during a run in a format
+ * that other tools can consume, for instance to annotate pull requests in CI.
+ */
+
+import { dirname, format, parse } from "https://deno.land/std@0.145.0/path/mod.ts";
+import { ensureDir } from "https://deno.land/std@0.145.0/fs/mod.ts";
+import { getAttributeType, getNonScriptModuleType } from "./moduleDeclarations.js";
+
+/**
+ * Where the types of a specifier come from:
+ * - `"vendor"`: The vendored module itself.
+ * - `"typesHeader"`: The url from the `X-TypeScript-Types` header of the vendored module.
+ * - `"typesComment"`: A `@deno-types` or `@ts-types` comment above the import in your own files.
+ * - `"declaration"`: A declaration file generated for a JSON, text or Wasm module.
+ * - `"npm"`: The declaration files of an npm package, or its `@types/` package.
+ * - `"jsr"`: The files of a jsr package.
+ * - `"node"`: The @types/node package.
+ * - `"ambientModule"`: An ambient module without types, because the url is excluded or failed to vendor.
+ * - `"none"`: No types were found.
+ * @typedef {"vendor" | "typesHeader" | "typesComment" | "declaration" | "npm" | "jsr" | "node" | "ambientModule" | "none"} TypesSource
+ */
+
+/**
+ * @typedef RunReportSpecifier
+ * @property {string} specifier The resolved specifier, or the import specifier when the url is excluded.
+ * @property {string[]} importSpecifiers The specifiers that were used to import it.
+ * @property {string[]} importerFilePaths The absolute paths of the files that import it.
+ * @property {TypesSource} typesSource
+ * @property {string?} typesPath The absolute path of the file that the generated tsconfig.json points to.
+ * @property {boolean} cached Whether the types were reused from a previous run.
+ * @property {number?} duration The amount of milliseconds it took to fetch the types during this run.
+ */
+
+/**
+ * @typedef RunReportFailedSubmodule
+ * @property {string} specifier The resolved specifier of the module that was being vendored.
+ * @property {string[]} urls The urls of the files that failed to download.
+ * @property {string[]} importerFilePaths The absolute paths of the files that import the module.
+ * @property {string} suggestedExcludeUrl The entry that can be added to `excludeUrls` to skip the module.
+ */
+
+/**
+ * @typedef RunReportFailedTypesFetch
+ * @property {string} url The url of the declaration file.
+ * @property {string} importer The file path or url that the declaration file was referenced from.
+ * @property {string} error
+ */
+
+/**
+ * @typedef RunReport
+ * @property {string} startTime When the run started, as an ISO 8601 string.
+ * @property {number} duration The amount of milliseconds that the run took.
+ * @property {RunReportSpecifier[]} specifiers Every specifier that was processed.
+ * @property {RunReportFailedSubmodule[]} failedSubmodules Modules that could only be vendored partially.
+ * @property {RunReportFailedTypesFetch[]} failedTypesFetches Declaration files that couldn't be downloaded.
+ * @property {string[]} suggestedExcludeUrls Entries that can be added to `excludeUrls` to skip failing modules.
+ * @property {string?} error The error message when the run failed.
+ */
+
+/**
+ * The locations of the types that are known at the end of a run, used for finding out where the types of a
+ * specifier come from.
+ * @typedef TypesLocations
+ * @property {Map<string, string>} typesCommentPaths Maps import specifiers to the declaration file from the types
+ * comment above them.
+ * @property {Map<string, string?>} npmTypesPaths Maps resolved npm specifiers to their types entry point.
+ * @property {Map<string, string?>} jsrTypesPaths Maps resolved jsr specifiers to the module they point to.
+ * @property {Map<string, string>} vendoredFiles Maps vendored urls to the path they were saved at.
+ * @property {Map<string, string>} typesHeaders Maps vendored urls to the url from their `X-TypeScript-Types` header.
+ * @property {Map<string, string>} ambientModuleTypesPaths Maps the specifiers of ambient modules to the declaration
+ * file that they re-export.
+ */
+
+/**
+ * @returns {RunReport}
+ */
+export function createRunReport() {
+	return {
+		startTime: new Date().toISOString(),
+		duration: 0,
+		specifiers: [],
+		failedSubmodules: [],
+		failedTypesFetches: [],
+		suggestedExcludeUrls: [],
+		error: null,
+	};
+}
+
+/**
+ * @param {string} filePath
+ * @param {RunReport} report
+ */
+export async function writeRunReport(filePath, report) {
+	await ensureDir(dirname(filePath));
+	await Deno.writeTextFile(filePath, JSON.stringify(report, null, "\t"));
+}
+
+/**
+ * Returns where tsc gets the types of a specifier from.
+ * @param {string} resolvedSpecifier
+ * @param {import("./collectImports.js").RemoteImportData[]} importDatas
+ * @param {TypesLocations} locations
+ * @returns {{typesSource: TypesSource, typesPath: string?}}
+ */
+function getTypesSource(resolvedSpecifier, importDatas, locations) {
+	for (const { importSpecifier } of importDatas) {
+		const typesPath = locations.typesCommentPaths.get(importSpecifier);
+		if (typesPath) return { typesSource: "typesComment", typesPath };
+	}
+	const url = new URL(resolvedSpecifier);
+	let typesPath = null;
+	if (url.protocol == "npm:") {
+		typesPath = locations.npmTypesPaths.get(resolvedSpecifier) || null;
+		if (typesPath) return { typesSource: "npm", typesPath };
+	} else if (url.protocol == "jsr:") {
+		typesPath = locations.jsrTypesPaths.get(resolvedSpecifier) || null;
+		if (typesPath) return { typesSource: "jsr", typesPath };
+	} else if (url.protocol == "node:") {
+		return { typesSource: "node", typesPath: null };
+	} else {
+		typesPath = locations.vendoredFiles.get(resolvedSpecifier) || null;
+		if (typesPath && getNonScriptModuleType(url, getAttributeType(importDatas))) {
+			const parsedPath = parse(typesPath);
+			return {
+				typesSource: "declaration",
+				typesPath: format({ dir: parsedPath.dir, name: parsedPath.name, ext: ".d.ts" }),
+			};
+		}
+		if (typesPath) {
+			return {
+				typesSource: locations.typesHeaders.has(resolvedSpecifier) ? "typesHeader" : "vendor",
+				typesPath,
+			};
+		}
+	}
+	return { typesSource: "none", typesPath: null };
+}
+
+/**
+ * Adds the remote specifiers and ambient modules of a run to the report, together with where their types come from.
+ * @param {RunReport} report
+ * @param {Object} options
+ * @param {Map<string, import("./collectImports.js").RemoteImportData[]>} options.remoteImports The remote imports
+ * mapped by their resolved specifier.
+ * @param {Iterable<string>} options.dependencySpecifiers Resolved specifiers that are imported by jsr packages
+ * rather than by the user.
+ * @param {string[]} options.ambientModuleSpecifiers
+ * @param {Map<string, number>} options.durations Maps the specifiers that were processed during this run to the
+ * amount of milliseconds it took.
+ * @param {TypesLocations} options.locations
+ */
+export function addReportSpecifiers(report, {
+	remoteImports,
+	dependencySpecifiers,
+	ambientModuleSpecifiers,
+	durations,
+	locations,
+}) {
+	const reportedSpecifiers = new Set([...remoteImports.keys(), ...dependencySpecifiers]);
+	for (const resolvedSpecifier of reportedSpecifiers) {
+		const importDatas = remoteImports.get(resolvedSpecifier) || [];
+		report.specifiers.push({
+			specifier: resolvedSpecifier,
+			importSpecifiers: Array.from(new Set(importDatas.map((d) => d.importSpecifier))),
+			importerFilePaths: Array.from(new Set(importDatas.map((d) => d.importerFilePath))),
+			...getTypesSource(resolvedSpecifier, importDatas, locations),
+			cached: !durations.has(resolvedSpecifier),
+			duration: durations.get(resolvedSpecifier) ?? null,
+		});
+	}
+	for (const specifier of ambientModuleSpecifiers) {
+		report.specifiers.push({
+			specifier,
+			importSpecifiers: [specifier],
+			importerFilePaths: [],
+			typesSource: "ambientModule",
+			typesPath: locations.ambientModuleTypesPaths.get(specifier) || null,
+			cached: false,
+			duration: null,
+		});
+	}
+}
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Utilities for making imports of local .ts files work with the TypeScript version of the user.
+ *
+ * Deno requires imports to contain the extension of the imported file, but TypeScript only allows `.ts` extensions
+ * in import specifiers since version 5.0, and only when `allowImportingTsExtensions` is enabled.
+ * On older versions, imports such as `./foo.ts` fail to resolve, so we generate declaration files that
+ * TypeScript finds instead.
+ */
+
+import * as path from "https://deno.land/std@0.145.0/path/mod.ts";
+import { fileHasDefaultExport } from "./parseFileAst.js";
+
+/**
+ * Maps TypeScript extensions to the JavaScript extension that older TypeScript versions resolve to them.
+ */
+const tsExtensionReplacements = {
+	".ts": ".js",
+	".tsx": ".jsx",
+	".mts": ".mjs",
+	".cts": ".cjs",
+};
+
+/**
+ * Returns the TypeScript extension of a specifier or path, or `null` when it doesn't have one.
+ * Declaration files are not considered to have a TypeScript extension, since these can be imported on any version.
+ * @param {string} specifierOrPath
+ */
+export function getTsExtension(specifierOrPath) {
+	if (/\.d\.[mc]?ts$/.test(specifierOrPath)) return null;
+	for (const extension of Object.keys(tsExtensionReplacements)) {
+		if (specifierOrPath.endsWith(extension)) return extension;
+	}
+	return null;
+}
+
+/**
+ * Returns true when the specifier is resolved relative to the importing file, i.e. when
+ * TypeScript won't look at the `paths` of the tsconfig.
+ * @param {string} specifier
+ */
+export function isRelativeSpecifier(specifier) {
+	return specifier.startsWith("./") || specifier.startsWith("../") || specifier.startsWith("/");
+}
+
+/**
+ * Returns true when a local import requires something to be added to the generated tsconfig.
+ * Non-relative imports, i.e. import map entries, need an entry in `paths`, and imports with a .ts extension need
+ * either extra compiler options or a declaration shim.
+ * @param {import("./collectImports.js").LocalImportData} localImport
+ */
+export function needsTsConfigEntry({ importSpecifier }) {
+	return !isRelativeSpecifier(importSpecifier) || getTsExtension(importSpecifier) != null;
+}
+
+/**
+ * Determines the TypeScript version that the user type checks their project with.
+ * When the `typescriptVersion` option is not set, the version in node_modules/typescript is used.
+ * Returns `null` when the version is unknown, in which case a recent version should be assumed.
+ * @param {string?} typescriptVersion The `typescriptVersion` option.
+ * @param {string} cwd
+ * @returns {Promise<string?>}
+ */
+export async function getTypeScriptVersion(typescriptVersion, cwd) {
+	if (typescriptVersion) return typescriptVersion;
+
+	const packageJsonPath = path.resolve(cwd, "node_modules", "typescript", "package.json");
+	let packageJsonText;
+	try {
+		packageJsonText = await Deno.readTextFile(packageJsonPath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+	try {
+		const packageJson = JSON.parse(packageJsonText);
+		if (typeof packageJson.version == "string") return packageJson.version;
+	} catch {
+		// A corrupt package.json is treated the same as a missing one.
+	}
+	return null;
+}
+
+/**
+ * The TypeScript version that is assumed when the version of the user is unknown.
+ */
+export const assumedTypeScriptVersion = "5.9.0";
+
+/**
+ * Returns true when the provided TypeScript version supports the `allowImportingTsExtensions` option
+ * and `"moduleResolution": "bundler"`, which were both added in TypeScript 5.0.
+ * @param {string?} typescriptVersion The version as returned by `getTypeScriptVersion`.
+ */
+export function supportsTsExtensionImports(typescriptVersion) {
+	if (!typescriptVersion) return true;
+	const match = typescriptVersion.match(/^\D*(\d+)/);
+	if (!match) return true;
+	return parseInt(match[1], 10) >= 5;
+}
+
+/**
+ * Creates a declaration file for every local .ts file that is imported with its extension, for TypeScript
+ * versions older than 5.0. When the shims directory is added to `rootDirs`, an import such as `./foo.ts`
+ * resolves to the generated `foo.ts.d.ts`, which re-exports everything from `foo.ts`.
+ *
+ * The shims directory is recreated on every call, so shims for imports that no longer exist are removed.
+ * @param {Object} options
+ * @param {import("./collectImports.js").LocalImportData[]} options.localImports
+ * @param {string} options.shimsDirPath The directory to place the shims in. This mirrors the structure of `cwd`.
+ * @param {string} options.cwd
+ * @param {import("./logging.js").Logger} options.logger
+ * @returns {Promise<number>} The amount of shims that were created.
+ */
+export async function createTsImportShims({ localImports, shimsDirPath, cwd, logger }) {
+	try {
+		await Deno.remove(shimsDirPath, { recursive: true });
+	} catch (e) {
+		if (!(e instanceof Deno.errors.NotFound)) throw e;
+	}
+
+	/** @type {Set<string>} */
+	const shimmedFilePaths = new Set();
+	for (const { importSpecifier, importerFilePath, resolvedFilePath } of localImports) {
+		if (!isRelativeSpecifier(importSpecifier)) continue;
+		const extension = getTsExtension(resolvedFilePath);
+		if (!extension || shimmedFilePaths.has(resolvedFilePath)) continue;
+
+		const relativeFilePath = path.relative(cwd, resolvedFilePath);
+		if (relativeFilePath.startsWith("..") || path.isAbsolute(relativeFilePath)) {
+			logger.warning(
+				`"${importSpecifier}" in ${importerFilePath} points to a file outside the current working directory, ` +
+					`TypeScript versions older than 5.0 won't be able to resolve it.`,
+			);
+			continue;
+		}
+		try {
+			await Deno.stat(resolvedFilePath);
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) continue;
+			throw e;
+		}
+		shimmedFilePaths.add(resolvedFilePath);
+
+		const shimPath = path.resolve(shimsDirPath, relativeFilePath + ".d.ts");
+		const jsExtension = tsExtensionReplacements[/** @type {keyof tsExtensionReplacements} */ (extension)];
+		const targetPath = resolvedFilePath.slice(0, -extension.length) + jsExtension;
+		let targetSpecifier = path.relative(path.dirname(shimPath), targetPath).replaceAll(path.SEP, "/");
+		if (!targetSpecifier.startsWith(".")) targetSpecifier = "./" + targetSpecifier;
+
+		let shimContent = `export * from "${targetSpecifier}";\n`;
+		if (await fileHasDefaultExport(resolvedFilePath)) {
+			shimContent += `export { default } from "${targetSpecifier}";\n`;
+		}
+		await Deno.mkdir(path.dirname(shimPath), { recursive: true });
+		await Deno.writeTextFile(shimPath, shimContent);
+	}
+
+	if (shimmedFilePaths.size > 0) {
+		logger.debug(`Created ${shimmedFilePaths.size} declaration shims for imports with a .ts extension`);
+	}
+	return shimmedFilePaths.size;
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Local stand-ins for remote servers, so that tests don't depend on the availability of
+ * real registries.
+ */
+
+import { serveListener } from "https://deno.land/std@0.167.0/http/server.ts";
+import { Tar } from "https://deno.land/std@0.167.0/archive/tar.ts";
+import { Buffer } from "https://deno.land/std@0.167.0/io/buffer.ts";
+import { readAll } from "https://deno.land/std@0.167.0/streams/mod.ts";
+
+/**
+ * @typedef LocalServer
+ * @property {string} url The url of the server, including a trailing slash.
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * Starts a server on a random port that responds to requests using the handler.
+ * @param {(request: Request, url: URL) => Response | Promise<Response>} handler
+ * @returns {LocalServer}
+ */
+export function createLocalServer(handler) {
+	const listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+	const { port } = /** @type {Deno.NetAddr} */ (listener.addr);
+	const abortController = new AbortController();
+	const servePromise = serveListener(listener, (request) => {
+		return handler(request, new URL(request.url));
+	}, { signal: abortController.signal });
+	return {
+		url: `http://127.0.0.1:${port}/`,
+		async close() {
+			abortController.abort();
+			await servePromise;
+		},
+	};
+}
+
+/**
+ * Creates a gzipped tarball with all files placed inside a "package" directory, like npm does.
+ * @param {Object.<string, string>} files
+ */
+async function createTarball(files) {
+	const tar = new Tar();
+	const encoder = new TextEncoder();
+	for (const [fileName, content] of Object.entries(files)) {
+		const bytes = encoder.encode(content);
+		await tar.append("package/" + fileName, {
+			reader: new Buffer(bytes),
+			contentSize: bytes.byteLength,
+		});
+	}
+	const tarBytes = await readAll(tar.getReader());
+	const gzipped = new Blob([tarBytes]).stream().pipeThrough(new CompressionStream("gzip"));
+	return new Uint8Array(await new Response(gzipped).arrayBuffer());
+}
+
+/**
+ * @typedef NpmRegistryPackage
+ * @property {Object.<string, unknown>} [packageJson] Extra fields for the package.json, the name and version
+ * are added automatically.
+ * @property {Object.<string, string>} [files] The other files of the package.
+ */
+
+/**
+ * Starts a local npm registry that serves the provided packages.
+ * @param {Object.<string, NpmRegistryPackage>} packages The packages to serve, keyed by `name@version`.
+ */
+export async function createNpmRegistry(packages) {
+	/** @type {Map<string, {versions: Object.<string, unknown>, latest: string}>} */
+	const registryData = new Map();
+	/** @type {Map<string, Uint8Array>} */
+	const tarballs = new Map();
+
+	const server = createLocalServer((_request, url) => {
+		const pathname = decodeURIComponent(url.pathname.slice(1));
+		const tarball = tarballs.get(pathname);
+		if (tarball) return new Response(tarball);
+		const data = registryData.get(pathname);
+		if (!data) return new Response("Not found", { status: 404 });
+		return Response.json({
+			name: pathname,
+			"dist-tags": { latest: data.latest },
+			versions: data.versions,
+		});
+	});
+
+	for (const [nameAndVersion, { packageJson = {}, files = {} }] of Object.entries(packages)) {
+		const versionIndex = nameAndVersion.lastIndexOf("@");
+		const name = nameAndVersion.slice(0, versionIndex);
+		const version = nameAndVersion.slice(versionIndex + 1);
+		const fullPackageJson = { name, version, ...packageJson };
+		const tarballPath = `-/${name}-${version}.tgz`;
+		tarballs.set(
+			tarballPath,
+			await createTarball({
+				...files,
+				"package.json": JSON.stringify(fullPackageJson),
+			}),
+		);
+
+		let data = registryData.get(name);
+		if (!data) {
+			data = { versions: {}, latest: version };
+			registryData.set(name, data);
+		}
+		data.versions[version] = {
+			...fullPackageJson,
+			dist: { tarball: server.url + tarballPath },
+		};
+		data.latest = version;
+	}
+
+	return server;
+}
+
+/**
+ * @typedef JsrRegistryPackage
+ * @property {Object.<string, string>} [exports] Defaults to `{".": "./mod.ts"}`.
+ * @property {Object.<string, string>} files The files of the package, keyed by their path without leading slash.
+ */
+
+/**
+ * Starts a local jsr registry that serves the provided packages.
+ * @param {Object.<string, JsrRegistryPackage>} packages The packages to serve, keyed by `@scope/name@version`.
+ */
+export function createJsrRegistry(packages) {
+	/** @type {Map<string, {latest: string, versions: Object.<string, {}>}>} */
+	const packageMetas = new Map();
+	/** @type {Map<string, unknown>} */
+	const jsonResponses = new Map();
+	/** @type {Map<string, string>} */
+	const files = new Map();
+
+	for (const [nameAndVersion, { exports = { ".": "./mod.ts" }, files: packageFiles }] of Object.entries(packages)) {
+		const versionIndex = nameAndVersion.lastIndexOf("@");
+		const name = nameAndVersion.slice(0, versionIndex);
+		const version = nameAndVersion.slice(versionIndex + 1);
+
+		let meta = packageMetas.get(name);
+		if (!meta) {
+			meta = { latest: version, versions: {} };
+			packageMetas.set(name, meta);
+		}
+		meta.versions[version] = {};
+		meta.latest = version;
+
+		/** @type {Object.<string, {size: number}>} */
+		const manifest = {};
+		for (const [fileName, content] of Object.entries(packageFiles)) {
+			manifest["/" + fileName] = { size: content.length };
+			files.set(`${name}/${version}/${fileName}`, content);
+		}
+		jsonResponses.set(`${name}/${version}_meta.json`, { manifest, exports });
+	}
+	for (const [name, meta] of packageMetas) {
+		const [scope, packageName] = name.slice(1).split("/");
+		jsonResponses.set(`${name}/meta.json`, { scope, name: packageName, ...meta });
+	}
+
+	return createLocalServer((_request, url) => {
+		const pathname = decodeURIComponent(url.pathname.slice(1));
+		const json = jsonResponses.get(pathname);
+		if (json) return Response.json(json);
+		const file = files.get(pathname);
+		if (file != undefined) return new Response(file);
+		return new Response("Not found", { status: 404 });
+	});
+}
+
+/**
+ * @typedef DenoCacheModule
+ * @property {string} [content]
+ * @property {Object.<string, string>} [headers]
+ */
+
+/**
+ * Creates the files of a DENO_DIR that contains the provided remote modules, in the format that `deno cache` uses.
+ * The returned files can be passed to `basicTest`.
+ * @param {string} denoDir The path of the DENO_DIR, relative to the test directory.
+ * @param {Object.<string, DenoCacheModule>} modules The modules to cache, keyed by their url.
+ */
+export async function createDenoCacheFiles(denoDir, modules) {
+	/** @type {Object.<string, string>} */
+	const files = {};
+	for (const [url, { content = "", headers = {} }] of Object.entries(modules)) {
+		const parsedUrl = new URL(url);
+		const hashBuffer = await crypto.subtle.digest(
+			"SHA-256",
+			new TextEncoder().encode(parsedUrl.pathname + parsedUrl.search),
+		);
+		const hash = Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+		const metadata = JSON.stringify({ headers, url, time: 0 });
+		files[`${denoDir}/remote/${parsedUrl.protocol.slice(0, -1)}/${parsedUrl.host}/${hash}`] =
+			`${content}\n// denoCacheMetadata=${metadata}`;
+	}
+	return files;
+}
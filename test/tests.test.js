@@ -1,5 +1,9 @@
 import * as path from "https://deno.land/std@0.119.0/path/mod.ts";
-import { generateTypes } from "../mod.js";
+import { assertEquals, assertRejects, assertStringIncludes } from "https://deno.land/std@0.167.0/testing/asserts.ts";
+import { checkTypes, generateTypes, planTypes, watchTypes } from "../mod.js";
+import { parseCliArgs, runCli } from "../src/cli.js";
+import { readDirRecursive } from "../src/common.js";
+import { createDenoCacheFiles, createJsrRegistry, createLocalServer, createNpmRegistry } from "./localServers.js";
 
 /**
  * @typedef {Omit<import("npm:typescript@4.7.4").CompilerOptions, "target"> & {target?: string}} CompilerOptions
@@ -14,34 +18,52 @@ import { generateTypes } from "../mod.js";
 
 /**
  * Creates a temporary directory, runs `generateTypes` in it with the specified options,
- * and finally type checks the project using the specified jsconfig.json.
+ * and finally type checks the project using the specified jsconfig.json. The project is checked with the tsc of
+ * `options.typescriptVersion`, or 4.8.3 when it isn't set.
  * @param {Object} options
  * @param {Object.<string, string>} [options.files] A map of files to create where keys are their relative path and value their content.
+ * @param {Object.<string, string>} [options.previousFiles] When set, these files are created and types are generated
+ * before `files` are created. This is useful for testing how changes are handled in subsequent runs.
  * @param {import("../mod.js").GenerateTypesOptions} [options.options]
  * @param {Jsconfig} [options.jsconfig] When set, will be stringified and placed in a jsconfig.json file.
+ * @param {(dirPath: string) => Promise<void>} [options.afterGenerate] Called after types have been generated
+ * and checked, this is useful for making assertions about the generated files.
  */
 export async function basicTest({
 	files = {},
+	previousFiles = null,
 	options = {},
 	jsconfig = getBasicJsconfig(),
+	afterGenerate,
 } = {}) {
 	const originalCwd = Deno.cwd();
 	const dirPath = await Deno.makeTempDir();
 	try {
-		files["jsconfig.json"] = JSON.stringify(jsconfig);
-		const promises = [];
-		for (const [fileName, fileContent] of Object.entries(files)) {
-			const filePath = path.resolve(dirPath, fileName);
-			const promise = (async () => {
-				await Deno.mkdir(path.dirname(filePath), { recursive: true });
-				await Deno.writeTextFile(filePath, fileContent);
-			})();
-			promises.push(promise);
+		/**
+		 * @param {Object.<string, string>} files
+		 */
+		async function writeFiles(files) {
+			const promises = [];
+			for (const [fileName, fileContent] of Object.entries(files)) {
+				const filePath = path.resolve(dirPath, fileName);
+				const promise = (async () => {
+					await Deno.mkdir(path.dirname(filePath), { recursive: true });
+					await Deno.writeTextFile(filePath, fileContent);
+				})();
+				promises.push(promise);
+			}
+			await Promise.all(promises);
 		}
-		await Promise.all(promises);
 
+		files["jsconfig.json"] = JSON.stringify(jsconfig);
 		Deno.chdir(dirPath);
 
+		if (previousFiles) {
+			await writeFiles(previousFiles);
+			await generateTypes(options);
+		}
+
+		await writeFiles(files);
 		await generateTypes(options);
 
 		const proc = Deno.run({
@@ -50,7 +72,7 @@ export async function basicTest({
 				"run",
 				"--allow-env",
 				"--allow-read",
-				"npm:typescript@4.8.3/tsc",
+				`npm:typescript@${options.typescriptVersion || "4.8.3"}/tsc`,
 				"--noEmit",
 				"-p",
 				"./jsconfig.json",
@@ -68,6 +90,8 @@ export async function basicTest({
 		} finally {
 			proc.close();
 		}
+
+		if (afterGenerate) await afterGenerate(dirPath);
 	} finally {
 		Deno.chdir(originalCwd); // https://github.com/denoland/deno/issues/15849
 		await Deno.remove(dirPath, { recursive: true });
@@ -147,3 +171,1655 @@ Deno.test({
 		});
 	},
 });
+
+Deno.test({
+	name: "Imports of local modules are collected when using entry points",
+	async fn() {
+		await basicTest({
+			files: {
+				"main.js": `
+					import { resolve } from "./src/foo.js";
+
+					${createNotAny()}
+					notAny(resolve);
+				`,
+				"src/foo.js": `
+					const colors = await import("./colors.js");
+					export { resolve } from "https://deno.land/std@0.119.0/path/mod.ts";
+				`,
+				"src/colors.js": `
+					export * from "https://deno.land/std@0.119.0/fmt/colors.ts";
+				`,
+			},
+			options: {
+				entryPoints: ["main.js"],
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Adding an import keeps the types of previously vendored imports",
+	async fn() {
+		await basicTest({
+			previousFiles: {
+				"foo.js": `
+					import * as path from "https://deno.land/std@0.119.0/path/mod.ts";
+
+					${createNotAny()}
+					notAny(path.resolve);
+				`,
+			},
+			files: {
+				"bar.js": `
+					import * as colors from "https://deno.land/std@0.119.0/fmt/colors.ts";
+
+					${createNotAny()}
+					notAny(colors.red);
+				`,
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Modules that are no longer imported are removed",
+	async fn() {
+		await basicTest({
+			previousFiles: {
+				"foo.js": `import * as path from "https://deno.land/std@0.118.0/path/mod.ts";`,
+			},
+			files: {
+				"foo.js": `
+					import * as path from "https://deno.land/std@0.119.0/path/mod.ts";
+
+					${createNotAny()}
+					notAny(path.resolve);
+				`,
+			},
+			async afterGenerate(dirPath) {
+				const vendorDir = path.resolve(dirPath, ".denoTypes/vendor");
+				let hasOldVersion = false;
+				let hasNewVersion = false;
+				for await (const filePath of readDirRecursive(vendorDir)) {
+					if (filePath.includes("std@0.118.0")) hasOldVersion = true;
+					if (filePath.includes("std@0.119.0")) hasNewVersion = true;
+				}
+				assertEquals(hasOldVersion, false);
+				assertEquals(hasNewVersion, true);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Import map and excludes from deno.json",
+	async fn() {
+		await basicTest({
+			files: {
+				"deno.json": JSON.stringify({
+					imports: {
+						"std/": "https://deno.land/std@0.119.0/",
+					},
+					fmt: {
+						exclude: ["broken/"],
+					},
+				}),
+				"foo.js": `
+					import * as path from "std/path/mod.ts";
+
+					${createNotAny()}
+					notAny(path.resolve);
+				`,
+				"broken/foo.js": `
+					import "https://example.invalid/mod.js";
+				`,
+			},
+			jsconfig: {
+				...getBasicJsconfig(),
+				include: ["foo.js"],
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Excludes from deno.json are kept when the exclude option is set",
+	async fn() {
+		await basicTest({
+			files: {
+				"deno.json": JSON.stringify({
+					exclude: ["broken/"],
+				}),
+				"foo.js": `export const foo = 1;`,
+				"broken/foo.js": `
+					import "https://example.invalid/mod.js";
+				`,
+				"other/foo.js": `
+					import "https://example.invalid/other.js";
+				`,
+			},
+			options: {
+				exclude: ["other/"],
+				// Vendoring one of the invalid urls would make generating types fail.
+				onVendorError: "throw",
+			},
+			jsconfig: {
+				...getBasicJsconfig(),
+				include: ["foo.js"],
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Types from headers, reference directives and ts-types comments of remote modules",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			const headers = { "Content-Type": "application/javascript" };
+			if (url.pathname == "/header.js") {
+				return new Response("export const foo = 1;", {
+					headers: { ...headers, "X-TypeScript-Types": "./types/header.d.ts" },
+				});
+			} else if (url.pathname == "/types/header.d.ts") {
+				return new Response(`export const foo: "header";`, { headers });
+			} else if (url.pathname == "/self.js") {
+				return new Response(`/// <reference types="./self.types.d.ts" />\nexport const bar = 1;`, { headers });
+			} else if (url.pathname == "/self.types.d.ts") {
+				return new Response(`export const bar: "self";`, { headers });
+			} else if (url.pathname == "/comment.js") {
+				return new Response(`// @ts-types="${server.url}baz.types.d.ts"\nexport { baz } from "./baz.js";`, {
+					headers,
+				});
+			} else if (url.pathname == "/baz.js") {
+				return new Response("export const baz = 1;", { headers });
+			} else if (url.pathname == "/baz.types.d.ts") {
+				return new Response(`export const baz: "comment";`, { headers });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "${server.url}header.js";
+						import { bar } from "${server.url}self.js";
+						import { baz } from "${server.url}comment.js";
+
+						/** @type {"header"} */
+						const fooResult = foo;
+						/** @type {"self"} */
+						const barResult = bar;
+						/** @type {"comment"} */
+						const bazResult = baz;
+					`,
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Types comments in user files",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			const headers = { "Content-Type": "application/javascript" };
+			if (url.pathname == "/foo.js") {
+				return new Response("export const foo = 1;", { headers });
+			} else if (url.pathname == "/foo.d.ts") {
+				return new Response(`export const foo: "typed";`, { headers });
+			} else if (url.pathname == "/bar.js") {
+				return new Response("export const bar = 1;", { headers });
+			} else if (url.pathname == "/bar.d.ts") {
+				return new Response(`export const bar: "typed";`, { headers });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						// @ts-types="${server.url}foo.d.ts"
+						import { foo } from "${server.url}foo.js";
+						// @deno-types="${server.url}bar.d.ts"
+						import { bar } from "${server.url}bar.js";
+
+						/** @type {"typed"} */
+						const fooResult = foo;
+						/** @type {"typed"} */
+						const barResult = bar;
+					`,
+				},
+				async afterGenerate(dirPath) {
+					const cacheFile = await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/cacheFile.json"));
+					const cache = JSON.parse(cacheFile);
+					assertEquals(Object.keys(cache.typesCommentEntries).sort(), [
+						`${server.url}bar.d.ts`,
+						`${server.url}foo.d.ts`,
+					]);
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Types comments pointing to declaration files that import other files",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			const headers = { "Content-Type": "application/typescript" };
+			if (url.pathname == "/foo.js") {
+				return new Response("export const foo = 1;", { headers: { "Content-Type": "application/javascript" } });
+			} else if (url.pathname == "/types/foo.d.ts") {
+				return new Response(
+					`/// <reference path="./global.d.ts" />
+					import type { Foo } from "./foo_type";
+					export const foo: Foo;
+					export const global: GlobalFoo;`,
+					{ headers },
+				);
+			} else if (url.pathname == "/types/foo_type") {
+				return new Response(`export type Foo = "typed";`, { headers });
+			} else if (url.pathname == "/types/global.d.ts") {
+				return new Response(`type GlobalFoo = "global";`, { headers });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						// @ts-types="${server.url}types/foo.d.ts"
+						import { foo, global } from "${server.url}foo.js";
+
+						/** @type {"typed"} */
+						const fooResult = foo;
+						/** @type {"global"} */
+						const globalResult = global;
+					`,
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Failures are listed in the report",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/foo.js") {
+				return new Response("export const foo = 1;", { headers: { "Content-Type": "application/javascript" } });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						// @ts-types="${server.url}missing.d.ts"
+						import { foo } from "${server.url}foo.js";
+
+						/** @type {number} */
+						const result = foo;
+					`,
+				},
+				options: {
+					reportFile: "report.json",
+				},
+				async afterGenerate(dirPath) {
+					const reportText = await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/report.json"));
+					/** @type {import("../src/report.js").RunReport} */
+					const report = JSON.parse(reportText);
+					assertEquals(report.error, null);
+					assertEquals(
+						report.failedTypesFetches.map(({ url, importer, error }) => {
+							return { url, importer: path.basename(importer), error };
+						}),
+						[
+							{
+								url: `${server.url}missing.d.ts`,
+								importer: "foo.js",
+								error: "The server responded with status code 404.",
+							},
+						],
+					);
+					const fooReport = report.specifiers.find(({ specifier }) => specifier == `${server.url}foo.js`);
+					assertEquals(fooReport?.typesSource, "vendor");
+					assertEquals(fooReport?.cached, false);
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+/**
+ * Creates a server with a module that re-exports from a module that doesn't exist.
+ */
+function createPartiallyFailingServer() {
+	return createLocalServer((_request, url) => {
+		if (url.pathname == "/foo.js") {
+			return new Response(`export { bar } from "./bar.js"; export const foo = 1;`, {
+				headers: { "Content-Type": "application/javascript" },
+			});
+		}
+		return new Response("Not found", { status: 404 });
+	});
+}
+
+Deno.test({
+	name: "Files that fail to vendor are replaced with ambient modules",
+	async fn() {
+		const server = createPartiallyFailingServer();
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "${server.url}foo.js";
+
+						/** @type {number} */
+						const result = foo;
+					`,
+				},
+				options: {
+					onVendorError: "ambient",
+				},
+				async afterGenerate(dirPath) {
+					const cacheText = await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/cacheFile.json"));
+					/** @type {import("../mod.js").CacheFileData} */
+					const cache = JSON.parse(cacheText);
+					assertEquals(cache.ambientFallbackUrls, { [`${server.url}foo.js`]: [`${server.url}bar.js`] });
+
+					const ambientModulesPath = ".denoTypes/@types/deno-tsc-helper-ambient-modules/index.d.ts";
+					const ambientModules = await Deno.readTextFile(path.resolve(dirPath, ambientModulesPath));
+					assertStringIncludes(ambientModules, `declare module "${server.url}bar.js";`);
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Files that fail to vendor throw when onVendorError is throw",
+	async fn() {
+		const server = createPartiallyFailingServer();
+		try {
+			await assertRejects(
+				async () => {
+					await basicTest({
+						files: {
+							"foo.js": `import { foo } from "${server.url}foo.js";`,
+						},
+						options: {
+							onVendorError: "throw",
+						},
+					});
+				},
+				Error,
+				`${server.url}bar.js`,
+			);
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Excluded urls with types",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/add.js") {
+				return new Response(
+					`
+					/**
+					 * @param {number} a
+					 * @param {number} b
+					 */
+					export function add(a, b) {
+						return a + b;
+					}
+					`,
+					{ headers: { "Content-Type": "application/javascript" } },
+				);
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"stubs/foo.d.ts": `
+						export declare const foo: number;
+						declare const bar: string;
+						export default bar;
+					`,
+					"foo.js": `
+						import bar, { foo } from "https://example.com/foo.js";
+						import { add } from "${server.url}add.js";
+
+						/** @type {number} */
+						const result1 = foo;
+						/** @type {string} */
+						const result2 = bar;
+						/** @type {number} */
+						const result3 = add(1, 2);
+
+						${createNotAny()}
+						notAny(foo);
+						notAny(bar);
+						notAny(add);
+					`,
+				},
+				options: {
+					excludeUrls: [
+						{ url: "https://example.com/foo.js", types: "./stubs/foo.d.ts" },
+						{ url: `${server.url}add.js`, emitDeclarations: true },
+					],
+				},
+				async afterGenerate(dirPath) {
+					const ambientModulesPath = ".denoTypes/@types/deno-tsc-helper-ambient-modules/index.d.ts";
+					const ambientModules = await Deno.readTextFile(path.resolve(dirPath, ambientModulesPath));
+					assertStringIncludes(ambientModules, `declare module "https://example.com/foo.js" {`);
+					assertStringIncludes(ambientModules, "export { default } from");
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Excluded urls whose types fail to fetch are reported",
+	async fn() {
+		const server = createLocalServer(() => new Response("Not found", { status: 404 }));
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "https://example.com/foo.js";
+					`,
+				},
+				options: {
+					excludeUrls: [{ url: "https://example.com/foo.js", types: `${server.url}foo.d.ts` }],
+					reportFile: "report.json",
+				},
+				async afterGenerate(dirPath) {
+					const reportText = await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/report.json"));
+					/** @type {import("../src/report.js").RunReport} */
+					const report = JSON.parse(reportText);
+					assertEquals(report.error, null);
+					assertEquals(report.failedTypesFetches, [
+						{
+							url: `${server.url}foo.d.ts`,
+							importer: "the excludeUrls entry for https://example.com/foo.js",
+							error: "The server responded with status code 404.",
+						},
+					]);
+
+					const cacheText = await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/cacheFile.json"));
+					/** @type {import("../mod.js").CacheFileData} */
+					const cache = JSON.parse(cacheText);
+					assertEquals(cache.fetchedExcludedTypes, {});
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Vendored modules are replaced with declarations when emitDeclarationsOnly is set",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/mod.js") {
+				return new Response(`export { double } from "./util.js"; export const name = "foo";`, {
+					headers: { "Content-Type": "application/javascript" },
+				});
+			} else if (url.pathname == "/other.js") {
+				return new Response(`export { double as otherDouble } from "./util.js";`, {
+					headers: { "Content-Type": "application/javascript" },
+				});
+			} else if (url.pathname == "/util.js") {
+				return new Response(
+					`
+					/**
+					 * @param {number} a
+					 */
+					export function double(a) {
+						return a * 2;
+					}
+					`,
+					{ headers: { "Content-Type": "application/javascript" } },
+				);
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { double, name } from "${server.url}mod.js";
+						import { otherDouble } from "${server.url}other.js";
+
+						/** @type {number} */
+						const result1 = double(2);
+						/** @type {string} */
+						const result2 = name;
+						/** @type {number} */
+						const result3 = otherDouble(2);
+
+						${createNotAny()}
+						notAny(double);
+						notAny(name);
+						notAny(otherDouble);
+					`,
+				},
+				options: {
+					emitDeclarationsOnly: true,
+				},
+				async afterGenerate(dirPath) {
+					const vendorFiles = [];
+					for await (const filePath of readDirRecursive(path.resolve(dirPath, ".denoTypes/vendor"))) {
+						vendorFiles.push(path.basename(filePath));
+						assertEquals((await Deno.readTextFile(filePath)).includes("@ts-nocheck"), false);
+					}
+					assertEquals(vendorFiles.filter((f) => f.endsWith(".js")), []);
+					assertEquals(vendorFiles.filter((f) => f.endsWith(".d.ts")).sort(), [
+						"mod.d.ts",
+						"other.d.ts",
+						"util.d.ts",
+					]);
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Remote JSON, text and Wasm modules",
+	async fn() {
+		// A module with an `add(i32, i64): f64` function and an exported memory.
+		// deno-fmt-ignore
+		const wasmBytes = new Uint8Array([
+			0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // header
+			0x01, 0x07, 0x01, 0x60, 0x02, 0x7f, 0x7e, 0x01, 0x7c, // type section
+			0x03, 0x02, 0x01, 0x00, // function section
+			0x05, 0x03, 0x01, 0x00, 0x01, // memory section
+			0x07, 0x0d, 0x02, 0x03, 0x61, 0x64, 0x64, 0x00, 0x00, 0x03, 0x6d, 0x65, 0x6d, 0x02, 0x00, // export section
+			0x0a, 0x0d, 0x01, 0x0b, 0x00, 0x44, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0b, // code section
+		]);
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/data.json") {
+				return Response.json({ name: "foo", tags: ["a", "b"], nested: { count: 1 } });
+			} else if (url.pathname == "/readme.txt") {
+				return new Response("Hello");
+			} else if (url.pathname == "/add.wasm") {
+				return new Response(wasmBytes, { headers: { "Content-Type": "application/wasm" } });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import data from "${server.url}data.json" assert { type: "json" };
+						import readme from "${server.url}readme.txt" assert { type: "text" };
+						import { add, mem } from "${server.url}add.wasm";
+
+						/** @type {string} */
+						const name = data.name;
+						/** @type {string[]} */
+						const tags = data.tags;
+						/** @type {number} */
+						const count = data.nested.count;
+						/** @type {string} */
+						const readmeText = readme;
+						/** @type {number} */
+						const sum = add(1, 2n);
+						/** @type {WebAssembly.Memory} */
+						const memory = mem;
+					`,
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Types of npm packages and their subpaths",
+	async fn() {
+		await basicTest({
+			files: {
+				"foo.js": `
+					import { h } from "npm:preact@10.11.3";
+					import { useState } from "npm:preact@10.11.3/hooks";
+
+					${createNotAny()}
+					notAny(h);
+					notAny(useState);
+				`,
+			},
+			async afterGenerate(dirPath) {
+				const tsconfigPath = path.resolve(dirPath, ".denoTypes/tsconfig.json");
+				const tsconfig = JSON.parse(await Deno.readTextFile(tsconfigPath));
+				const packageDir = path.resolve(dirPath, ".denoTypes/npmTypes/preact/10.11.3");
+				assertEquals(tsconfig.compilerOptions.paths["npm:preact@10.11.3"], [
+					path.resolve(packageDir, "src/index.d.ts"),
+				]);
+				assertEquals(tsconfig.compilerOptions.paths["npm:preact@10.11.3/hooks"], [
+					path.resolve(packageDir, "hooks/src/index.d.ts"),
+				]);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "typesVersions mappings for older TypeScript versions are skipped when the version is unknown",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"foo@1.0.0": {
+				packageJson: {
+					types: "index.d.ts",
+					typesVersions: {
+						"<4.0": { "*": ["ts3.9/*"] },
+						">=4.0": { "*": ["ts4/*"] },
+					},
+				},
+				files: {
+					"index.d.ts": "export const foo: unknown;",
+					"ts3.9/index.d.ts": "export const foo: 3;",
+					"ts4/index.d.ts": "export const foo: 4;",
+				},
+			},
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "npm:foo@1.0.0";
+
+						/** @type {4} */
+						const result = foo;
+					`,
+				},
+				options: {
+					npmRegistry: registry.url,
+				},
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Types of npm dependencies are downloaded",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"foo@1.0.0": {
+				packageJson: {
+					types: "index.d.ts",
+					dependencies: { bar: "^2.0.0", unused: "^1.0.0" },
+				},
+				files: {
+					"index.d.ts": `
+						import { Bar } from "bar";
+						export function foo(): Bar;
+					`,
+				},
+			},
+			"bar@2.0.0": {
+				files: { "index.d.ts": "export interface Bar { version: 0 }" },
+			},
+			"bar@2.1.0": {
+				files: { "index.d.ts": "export interface Bar { version: 1 }" },
+			},
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "npm:foo@1.0.0";
+
+						${createNotAny()}
+						notAny(foo());
+						/** @type {1} */
+						const version = foo().version;
+					`,
+				},
+				options: {
+					npmRegistry: registry.url,
+				},
+				async afterGenerate(dirPath) {
+					const nodeModulesPath = path.resolve(dirPath, ".denoTypes/npmTypes/node_modules");
+					const packageJsonPath = path.resolve(nodeModulesPath, "bar/package.json");
+					const packageJson = JSON.parse(await Deno.readTextFile(packageJsonPath));
+					assertEquals(packageJson.version, "2.1.0");
+
+					const dependencyNames = [];
+					for await (const entry of Deno.readDir(nodeModulesPath)) {
+						dependencyNames.push(entry.name);
+					}
+					assertEquals(dependencyNames, ["bar"]);
+				},
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Events are emitted while generating types",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"foo@1.0.0": {
+				packageJson: { types: "index.d.ts" },
+				files: { "index.d.ts": "export const foo: 1;" },
+			},
+		});
+		try {
+			/** @type {import("../src/events.js").GenerateTypesEvent[]} */
+			const events = [];
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "npm:foo@1.0.0";
+
+						/** @type {1} */
+						const result = foo;
+					`,
+				},
+				options: {
+					npmRegistry: registry.url,
+					onEvent(event) {
+						events.push(event);
+					},
+				},
+			});
+			const progressEvents = events.flatMap((event) => event.type == "npmDownloadProgress" ? [event] : []);
+			const lastProgressEvent = progressEvents[progressEvents.length - 1];
+			assertEquals(lastProgressEvent?.packageName, "foo");
+			assertEquals(lastProgressEvent?.loadedBytes, lastProgressEvent?.totalBytes);
+
+			const eventTypes = events.map((event) => event.type).filter((type) => type != "npmDownloadProgress");
+			assertEquals(eventTypes, ["collectStart", "collectEnd", "vendorStart", "vendorEnd", "tsconfigWritten"]);
+			const collectEnd = events.find((event) => event.type == "collectEnd");
+			assertEquals(collectEnd, {
+				type: "collectEnd",
+				fileCount: 1,
+				remoteImportCount: 1,
+				localImportCount: 0,
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Types of npm packages without types are taken from DefinitelyTyped",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"foo@1.2.3": {
+				files: { "index.js": "export function foo() { return 1; }" },
+			},
+			"@types/foo@1.1.0": {
+				files: { "index.d.ts": "export function foo(): 0;" },
+			},
+			"@types/foo@1.2.0": {
+				files: { "index.d.ts": "export function foo(): 1;" },
+			},
+			"@types/foo@2.0.0": {
+				files: { "index.d.ts": "export function foo(): 2;" },
+			},
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { foo } from "npm:foo@1.2.3";
+
+						/** @type {1} */
+						const result = foo();
+					`,
+				},
+				options: {
+					npmRegistry: registry.url,
+				},
+				async afterGenerate(dirPath) {
+					const tsconfigPath = path.resolve(dirPath, ".denoTypes/tsconfig.json");
+					const tsconfig = JSON.parse(await Deno.readTextFile(tsconfigPath));
+					assertEquals(tsconfig.compilerOptions.paths["npm:foo@1.2.3"], [
+						path.resolve(dirPath, ".denoTypes/npmTypes/@types/foo/1.2.0/index.d.ts"),
+					]);
+				},
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Jsr packages, their subpaths and their dependencies",
+	async fn() {
+		const registry = createJsrRegistry({
+			"@test/foo@1.0.0": {
+				exports: {
+					".": "./mod.ts",
+					"./bar": "./bar.ts",
+				},
+				files: {
+					"mod.ts": `
+						import { bar } from "./bar.ts";
+						export { baz } from "jsr:@test/baz@^2.0.0";
+						export function foo(): typeof bar {
+							return bar;
+						}
+					`,
+					"bar.ts": "export const bar: 1 = 1;",
+					"README.md": "This file is not downloaded",
+				},
+			},
+			"@test/baz@2.0.0": {
+				files: { "mod.ts": `export const baz: "old" = "old";` },
+			},
+			"@test/baz@2.1.0": {
+				files: { "mod.ts": `export const baz: "new" = "new";` },
+			},
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						import { baz, foo } from "jsr:@test/foo@1";
+						import { bar } from "jsr:@test/foo@1/bar";
+
+						/** @type {1} */
+						const fooResult = foo();
+						/** @type {1} */
+						const barResult = bar;
+						/** @type {"new"} */
+						const bazResult = baz;
+					`,
+				},
+				options: {
+					jsrRegistry: registry.url,
+				},
+				async afterGenerate(dirPath) {
+					const packageDir = path.resolve(dirPath, ".denoTypes/jsrTypes/@test/foo/1.0.0");
+					const fileNames = [];
+					for await (const entry of Deno.readDir(packageDir)) {
+						fileNames.push(entry.name);
+					}
+					assertEquals(fileNames.sort(), ["bar.ts", "mod.ts"]);
+				},
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Node built-in modules use types from @types/node",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"@types/node@18.0.0": {
+				packageJson: { types: "index.d.ts" },
+				files: {
+					"index.d.ts": `
+						declare module "path" {
+							export function join(...paths: string[]): string;
+						}
+						declare module "node:path" {
+							export * from "path";
+						}
+					`,
+				},
+			},
+		});
+		try {
+			await basicTest({
+				files: {
+					"deno.json": JSON.stringify({
+						imports: {
+							"nodePath": "node:path",
+						},
+					}),
+					"foo.js": `
+						import { join } from "node:path";
+						import { join as aliasedJoin } from "nodePath";
+
+						${createNotAny()}
+						notAny(join);
+						notAny(aliasedJoin);
+					`,
+				},
+				options: {
+					npmRegistry: registry.url,
+				},
+				async afterGenerate(dirPath) {
+					const typeRootPath = path.resolve(dirPath, ".denoTypes/@types/deno-tsc-helper-node/index.d.ts");
+					const typeRoot = await Deno.readTextFile(typeRootPath);
+					assertStringIncludes(typeRoot, `declare module "nodePath"`);
+				},
+			});
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Requests to slow or flaky hosts time out and are retried",
+	async fn() {
+		let flakyRequestCount = 0;
+		let slowRequestCount = 0;
+		/** @type {() => void} */
+		let releaseSlowResponse = () => {};
+		const slowResponsePromise = new Promise((resolve) => {
+			releaseSlowResponse = () => resolve(undefined);
+		});
+		const server = createLocalServer(async (_request, url) => {
+			if (url.pathname == "/flaky.d.ts") {
+				flakyRequestCount++;
+				if (flakyRequestCount <= 2) return new Response("Service unavailable", { status: 503 });
+				return new Response("declare const flakyGlobal: number;");
+			} else if (url.pathname == "/slow.d.ts") {
+				slowRequestCount++;
+				// The first request only gets a response once the test is done, so it has to time out.
+				if (slowRequestCount == 1) await slowResponsePromise;
+				return new Response("declare const slowGlobal: string;");
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		try {
+			await basicTest({
+				files: {
+					"foo.js": `
+						${createNotAny()}
+						notAny(flakyGlobal);
+						notAny(slowGlobal);
+					`,
+				},
+				options: {
+					extraTypeRoots: {
+						flaky: server.url + "flaky.d.ts",
+						slow: server.url + "slow.d.ts",
+					},
+					timeout: 500,
+					retries: 2,
+				},
+			});
+			assertEquals(flakyRequestCount, 3);
+			assertEquals(slowRequestCount, 2);
+		} finally {
+			releaseSlowResponse();
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Offline mode reads modules and their headers from the Deno cache",
+	async fn() {
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/latest/mod.ts": {
+				headers: { location: "https://example.com/v1/mod.ts" },
+			},
+			"https://example.com/v1/mod.ts": {
+				content: `export { value } from "./dep.ts";`,
+				headers: { "content-type": "application/typescript" },
+			},
+			"https://example.com/v1/dep.ts": {
+				content: `export const value = 1;`,
+				headers: { "content-type": "application/typescript" },
+			},
+			"https://example.com/lib.js": {
+				content: `export function greet() { return "hello"; }`,
+				headers: { "content-type": "application/javascript", "x-typescript-types": "./lib.d.ts" },
+			},
+			"https://example.com/lib.d.ts": {
+				content: `export declare function greet(): string;`,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		await basicTest({
+			files: {
+				...denoCacheFiles,
+				"foo.js": `
+					import { value } from "https://example.com/latest/mod.ts";
+					import { greet } from "https://example.com/lib.js";
+
+					${createNotAny()}
+					notAny(value);
+					notAny(greet);
+				`,
+			},
+			options: {
+				offline: true,
+				denoDir: "denoDir",
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Offline mode lists everything that is missing from the Deno cache",
+	async fn() {
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/mod.ts": {
+				content: `export * from "./missingDep.ts";`,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		const error = await assertRejects(async () => {
+			await basicTest({
+				files: {
+					...denoCacheFiles,
+					"foo.js": `
+						import "https://example.com/mod.ts";
+						import "https://example.com/missing.ts";
+					`,
+				},
+				options: {
+					offline: true,
+					denoDir: "denoDir",
+				},
+			});
+		});
+		assertStringIncludes(String(error), "https://example.com/missingDep.ts");
+		assertStringIncludes(String(error), "https://example.com/missing.ts");
+	},
+});
+
+Deno.test({
+	name: "Vendored modules are verified against the lockfile",
+	async fn() {
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/mod.ts": {
+				content: `export const value = 1;`,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		const error = await assertRejects(async () => {
+			await basicTest({
+				files: {
+					...denoCacheFiles,
+					"deno.lock": JSON.stringify({
+						version: "3",
+						remote: {
+							"https://example.com/mod.ts": "0".repeat(64),
+						},
+					}),
+					"foo.js": `import { value } from "https://example.com/mod.ts";`,
+				},
+				options: {
+					offline: true,
+					denoDir: "denoDir",
+					lock: "fail",
+				},
+			});
+		});
+		assertStringIncludes(String(error), "https://example.com/mod.ts");
+	},
+});
+
+Deno.test({
+	name: "npm packages are verified against the lockfile",
+	async fn() {
+		const registry = await createNpmRegistry({
+			"foo@1.0.0": {
+				packageJson: { types: "index.d.ts" },
+				files: { "index.d.ts": "export const foo: 1;" },
+			},
+		});
+		try {
+			const error = await assertRejects(async () => {
+				await basicTest({
+					files: {
+						"deno.lock": JSON.stringify({
+							version: "3",
+							packages: {
+								npm: {
+									"foo@1.0.0": { integrity: "sha512-" + btoa("0".repeat(64)), dependencies: {} },
+								},
+							},
+						}),
+						"foo.js": `import { foo } from "npm:foo@1.0.0";`,
+					},
+					options: {
+						npmRegistry: registry.url,
+						lock: "fail",
+					},
+				});
+			});
+			assertStringIncludes(String(error), "npm:foo@1.0.0");
+		} finally {
+			await registry.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Lockfiles with an unsupported version are skipped when lock is warn",
+	async fn() {
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/mod.ts": {
+				content: `export const value = 1;`,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		const files = {
+			...denoCacheFiles,
+			"deno.lock": JSON.stringify({
+				version: "4",
+				remote: {
+					"https://example.com/mod.ts": "0".repeat(64),
+				},
+			}),
+			"foo.js": `
+				import { value } from "https://example.com/mod.ts";
+
+				${createNotAny()}
+				notAny(value);
+			`,
+		};
+		await basicTest({
+			files: { ...files },
+			options: {
+				offline: true,
+				denoDir: "denoDir",
+				lock: "warn",
+			},
+		});
+		const error = await assertRejects(async () => {
+			await basicTest({
+				files: { ...files },
+				options: {
+					offline: true,
+					denoDir: "denoDir",
+					lock: "fail",
+				},
+			});
+		});
+		assertStringIncludes(String(error), "version 4");
+	},
+});
+
+Deno.test({
+	name: "Hashes of new remote modules are written to the lockfile",
+	async fn() {
+		const content = `export const value = 1;`;
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/mod.ts": {
+				content,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		const hashBuffer = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(content));
+		const hash = Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+		await basicTest({
+			files: {
+				...denoCacheFiles,
+				"deno.lock": JSON.stringify({ version: "2", remote: {} }),
+				"foo.js": `
+					import { value } from "https://example.com/mod.ts";
+
+					${createNotAny()}
+					notAny(value);
+				`,
+			},
+			options: {
+				offline: true,
+				denoDir: "denoDir",
+				writeLock: true,
+			},
+			async afterGenerate(dirPath) {
+				const lock = JSON.parse(await Deno.readTextFile(path.resolve(dirPath, "deno.lock")));
+				assertEquals(lock, {
+					version: "2",
+					remote: {
+						"https://example.com/mod.ts": hash,
+					},
+				});
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Redirects are written to the lockfile and files are hashed without decoding them",
+	async fn() {
+		// A byte order mark and invalid UTF-8 would both be changed by decoding the file as text.
+		const bytes = new Uint8Array([
+			0xEF,
+			0xBB,
+			0xBF,
+			...new TextEncoder().encode("export const value = 1; // "),
+			0xFF,
+		]);
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/latest/mod.ts") {
+				return Response.redirect(new URL("/v1/mod.ts", url), 302);
+			} else if (url.pathname == "/v1/mod.ts") {
+				return new Response(bytes, { headers: { "Content-Type": "application/typescript" } });
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		const hashBuffer = await crypto.subtle.digest("SHA-256", bytes);
+		const hash = Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+		try {
+			await basicTest({
+				files: {
+					"deno.lock": JSON.stringify({ version: "3", remote: {} }),
+					"foo.js": `
+						import { value } from "${server.url}latest/mod.ts";
+
+						${createNotAny()}
+						notAny(value);
+					`,
+				},
+				options: {
+					preferDenoCache: true,
+					denoDir: "denoDir",
+					lock: "fail",
+					writeLock: true,
+				},
+				async afterGenerate(dirPath) {
+					const lock = JSON.parse(await Deno.readTextFile(path.resolve(dirPath, "deno.lock")));
+					assertEquals(lock, {
+						version: "3",
+						remote: {
+							[`${server.url}v1/mod.ts`]: hash,
+						},
+						redirects: {
+							[`${server.url}latest/mod.ts`]: `${server.url}v1/mod.ts`,
+						},
+					});
+
+					// Vendoring again verifies the files against the lockfile that was just written.
+					await Deno.remove(path.resolve(dirPath, ".denoTypes"), { recursive: true });
+					await generateTypes({ preferDenoCache: true, denoDir: "denoDir", lock: "fail" });
+				},
+			});
+		} finally {
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Planning types lists changed imports without modifying anything",
+	async fn() {
+		const denoCacheFiles = await createDenoCacheFiles("denoDir", {
+			"https://example.com/mod.ts": {
+				content: `export const value = 1;`,
+				headers: { "content-type": "application/typescript" },
+			},
+		});
+		await basicTest({
+			files: {
+				...denoCacheFiles,
+				"foo.js": `
+					import { value } from "https://example.com/mod.ts";
+
+					${createNotAny()}
+					notAny(value);
+				`,
+			},
+			options: {
+				offline: true,
+				denoDir: "denoDir",
+			},
+			async afterGenerate(dirPath) {
+				await Deno.writeTextFile(
+					path.resolve(dirPath, "foo.js"),
+					`import { value } from "https://example.com/other.ts";`,
+				);
+				const cacheFilePath = path.resolve(dirPath, ".denoTypes/cacheFile.json");
+				const cacheFileContent = await Deno.readTextFile(cacheFilePath);
+				const plan = await planTypes({ offline: true, denoDir: "denoDir" });
+				assertEquals(plan, {
+					vendorSpecifiers: ["https://example.com/other.ts"],
+					npmSpecifiers: [],
+					jsrSpecifiers: [],
+					typeRoots: [],
+					exactTypeModules: [],
+					typesComments: [],
+					denoTypes: false,
+					nodeTypes: false,
+					ambientModules: [],
+					paths: {
+						added: ["https://example.com/other.ts"],
+						removed: ["https://example.com/mod.ts"],
+						changed: [],
+					},
+				});
+				assertEquals(await Deno.readTextFile(cacheFilePath), cacheFileContent);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Watching files regenerates types when remote imports are added or removed",
+	async fn() {
+		const server = createLocalServer((_request, url) => {
+			if (url.pathname == "/foo.js") {
+				return new Response(`export const foo = 1;`, {
+					headers: { "Content-Type": "application/javascript" },
+				});
+			}
+			return new Response("Not found", { status: 404 });
+		});
+		const originalCwd = Deno.cwd();
+		const dirPath = await Deno.makeTempDir();
+		try {
+			Deno.chdir(dirPath);
+			const filePath = path.resolve(dirPath, "src/foo.js");
+			await Deno.mkdir(path.dirname(filePath));
+			await Deno.writeTextFile(filePath, `export const bar = 1;`);
+
+			/** @type {() => void} */
+			let resolveInitialTypes = () => {};
+			/** @type {Promise<void>} */
+			const initialTypesPromise = new Promise((r) => resolveInitialTypes = r);
+			const watcher = watchTypes({
+				include: ["./src/"],
+				onEvent(event) {
+					if (event.type == "tsconfigWritten") resolveInitialTypes();
+				},
+			});
+			async function nextWatchEvent() {
+				const result = await watcher.next();
+				if (result.done) throw new Error("Watching stopped unexpectedly.");
+				return result.value;
+			}
+
+			try {
+				const addedEventPromise = nextWatchEvent();
+				await initialTypesPromise;
+				// The files are watched right after the initial types have been generated.
+				await new Promise((r) => setTimeout(r, 500));
+
+				await Deno.writeTextFile(filePath, `import { foo } from "${server.url}foo.js";`);
+				const addedEvent = await addedEventPromise;
+				assertEquals(addedEvent.error, undefined);
+				assertEquals(addedEvent.addedSpecifiers, [`${server.url}foo.js`]);
+				assertEquals(addedEvent.removedSpecifiers, []);
+
+				const removedEventPromise = nextWatchEvent();
+				await Deno.writeTextFile(filePath, `export const bar = 1;`);
+				const removedEvent = await removedEventPromise;
+				assertEquals(removedEvent.error, undefined);
+				assertEquals(removedEvent.addedSpecifiers, []);
+				assertEquals(removedEvent.removedSpecifiers, [`${server.url}foo.js`]);
+			} finally {
+				await watcher.return();
+			}
+		} finally {
+			Deno.chdir(originalCwd); // https://github.com/denoland/deno/issues/15849
+			await Deno.remove(dirPath, { recursive: true });
+			await server.close();
+		}
+	},
+});
+
+Deno.test({
+	name: "Imports of local .ts files on TypeScript versions without allowImportingTsExtensions",
+	async fn() {
+		await basicTest({
+			files: {
+				"deno.json": JSON.stringify({
+					imports: {
+						"@/": "./src/",
+					},
+				}),
+				"main.js": `
+					import foo, { bar } from "./src/foo.ts";
+					import { baz } from "@/baz.ts";
+
+					${createNotAny()}
+					notAny(foo);
+					notAny(bar);
+					notAny(baz);
+				`,
+				"src/foo.ts": `
+					export const bar = 1;
+					export default function foo() {}
+				`,
+				"src/baz.ts": `
+					export const baz = "baz";
+				`,
+			},
+			options: {
+				entryPoints: ["main.js"],
+				typescriptVersion: "4.8.3",
+			},
+			jsconfig: {
+				...getBasicJsconfig(),
+				include: ["main.js"],
+			},
+			async afterGenerate(dirPath) {
+				const shimPath = path.resolve(dirPath, ".denoTypes/tsImportShims/src/foo.ts.d.ts");
+				const shim = await Deno.readTextFile(shimPath);
+				assertEquals(
+					shim,
+					`export * from "../../../src/foo.js";\nexport { default } from "../../../src/foo.js";\n`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Imports of local .ts files on TypeScript versions with allowImportingTsExtensions",
+	async fn() {
+		await basicTest({
+			files: {
+				"deno.json": JSON.stringify({
+					imports: {
+						"@/": "./src/",
+					},
+				}),
+				"main.js": `
+					import foo, { bar } from "./src/foo.ts";
+					import { baz } from "@/baz.ts";
+
+					${createNotAny()}
+					notAny(foo);
+					notAny(bar);
+					notAny(baz);
+				`,
+				"src/foo.ts": `
+					export const bar = 1;
+					export default function foo() {}
+				`,
+				"src/baz.ts": `
+					export const baz = "baz";
+				`,
+			},
+			options: {
+				entryPoints: ["main.js"],
+				typescriptVersion: "5.0.4",
+			},
+			jsconfig: {
+				...getBasicJsconfig(),
+				include: ["main.js"],
+			},
+			async afterGenerate(dirPath) {
+				const tsconfig = JSON.parse(await Deno.readTextFile(path.resolve(dirPath, ".denoTypes/tsconfig.json")));
+				assertEquals(tsconfig.compilerOptions.allowImportingTsExtensions, true);
+				assertEquals(tsconfig.compilerOptions.moduleResolution, "bundler");
+				await assertRejects(
+					() => Deno.stat(path.resolve(dirPath, ".denoTypes/tsImportShims")),
+					Deno.errors.NotFound,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Type errors are returned as diagnostics",
+	async fn() {
+		await basicTest({
+			files: {
+				"foo.js": `export const foo = 1;`,
+			},
+			async afterGenerate(dirPath) {
+				await Deno.writeTextFile(
+					path.resolve(dirPath, "foo.js"),
+					`
+/** @type {string} */
+export const foo = 1;
+`,
+				);
+				const { diagnostics, errorCount } = await checkTypes({
+					typescriptVersion: "4.8.3",
+					project: "./jsconfig.json",
+				});
+				assertEquals(errorCount, 1);
+				assertEquals(diagnostics, [
+					{
+						file: path.resolve(dirPath, "foo.js"),
+						line: 3,
+						column: 14,
+						code: 2322,
+						category: "error",
+						message: "Type 'number' is not assignable to type 'string'.",
+					},
+				]);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "The check command exits with 1 when there are type errors",
+	async fn() {
+		await basicTest({
+			files: {
+				"foo.js": `export const foo = 1;`,
+			},
+			async afterGenerate(dirPath) {
+				const args = ["check", "--project", "./jsconfig.json", "--typescript-version", "4.8.3"];
+				assertEquals(await runCli(args), 0);
+
+				await Deno.writeTextFile(
+					path.resolve(dirPath, "foo.js"),
+					`
+/** @type {string} */
+export const foo = 1;
+`,
+				);
+				assertEquals(await runCli(args), 1);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Commands that fail exit with 1",
+	async fn() {
+		const originalCwd = Deno.cwd();
+		const dirPath = await Deno.makeTempDir();
+		try {
+			Deno.chdir(dirPath);
+			await Deno.writeTextFile(path.resolve(dirPath, "deno.lock"), "not json");
+			await Deno.writeTextFile(path.resolve(dirPath, "foo.js"), `export const foo = 1;`);
+			assertEquals(await runCli(["generate", "--lock", "fail"]), 1);
+		} finally {
+			Deno.chdir(originalCwd); // https://github.com/denoland/deno/issues/15849
+			await Deno.remove(dirPath, { recursive: true });
+		}
+	},
+});
+
+Deno.test({
+	name: "Command line arguments are converted to options",
+	fn() {
+		const { command, options } = parseCliArgs([
+			"generate",
+			"--include",
+			"src",
+			"--include=main.js",
+			"--import-map",
+			"import_map.json",
+			"--exclude-url",
+			"https://example.com/foo.js",
+			"--exclude-url-types",
+			"https://example.com/bar.js?a=b=./stubs/bar.d.ts",
+			"--exclude-url-emit",
+			"https://example.com/baz.js",
+			"--on-vendor-error",
+			"ambient",
+			"--extra-path",
+			"foo=./a.d.ts",
+			"--extra-path",
+			"foo=./b.d.ts",
+			"--exact-type-module",
+			"npm:eslint@8.23.0=https://unpkg.com/@types/eslint@8.4.6/index.d.ts",
+			"--extra-type-root",
+			"foo=https://example.com/types.d.ts?a=b",
+			"--unstable",
+			"--concurrency",
+			"2",
+			"--timeout=0",
+			"--offline",
+			"--report-file",
+			"report.json",
+			"--emit-declarations-only",
+			"--project",
+			"jsconfig.json",
+			"--log-level",
+			"debug",
+		]);
+		assertEquals(command, "generate");
+		assertEquals(options, {
+			include: ["src", "main.js"],
+			excludeUrls: [
+				"https://example.com/foo.js",
+				{ url: "https://example.com/bar.js?a=b", types: "./stubs/bar.d.ts" },
+				{ url: "https://example.com/baz.js", emitDeclarations: true },
+			],
+			onVendorError: "ambient",
+			importMap: "import_map.json",
+			extraPaths: {
+				foo: ["./a.d.ts", "./b.d.ts"],
+			},
+			exactTypeModules: {
+				"npm:eslint@8.23.0": "https://unpkg.com/@types/eslint@8.4.6/index.d.ts",
+			},
+			extraTypeRoots: {
+				foo: "https://example.com/types.d.ts?a=b",
+			},
+			unstable: true,
+			concurrency: 2,
+			timeout: 0,
+			offline: true,
+			reportFile: "report.json",
+			emitDeclarationsOnly: true,
+			project: "jsconfig.json",
+			logLevel: "DEBUG",
+		});
+	},
+});